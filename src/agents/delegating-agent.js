@@ -1,6 +1,13 @@
-import { getGeminiModel } from '../llm/gemini-client.js';
+import { z } from 'zod';
+import { getChatModel } from '../llm/models.js';
+import { invokeStructured } from '../llm/structured-output.js';
 import { ragGenerate } from './rag-agent.js';
-import { mockGenerateChart } from '../tools/chartjs-tool.js';
+import { mockGenerateChart, CHART_TYPES } from '../tools/chartjs-tool.js';
+import { normalizeFilters, describeFilters } from '../retrieval/filters.js';
+import { emitEvent, streamText, EVENTS } from '../llm/streaming.js';
+import { formatConversation } from '../memory/history.js';
+import { renderPrompt, promptInfo } from '../prompts/registry.js';
+import { getConfig } from '../config/config.js';
 
 /**
  * Delegating Agent - Routes user queries to appropriate tools/agents
@@ -12,66 +19,75 @@ import { mockGenerateChart } from '../tools/chartjs-tool.js';
  * 4. Determine if direct answer is sufficient
  * 5. Execute tools in parallel or sequentially as needed
  * 6. Combine results into a structured response
+ *
+ * Routing decisions and chart parameters are validated JSON replies (see
+ * llm/structured-output.js). If routing fails the query is answered from the
+ * knowledge base and metadata.routing.error says why; if chart extraction
+ * fails no chart is returned and the answer says so.
  */
 
+// Reply of the routing prompt
+const routingSchema = z.object({
+  needsChart: z.boolean(),
+  needsRAG: z.boolean(),
+  needsDirect: z.boolean(),
+  filters: z.record(z.unknown()).nullable().optional()
+    .transform((filters, ctx) => {
+      try {
+        return normalizeFilters(filters);
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+    }),
+  reasoning: z.string().default(''),
+}).refine(decision => decision.needsChart || decision.needsRAG || decision.needsDirect, {
+  message: 'at least one of needsChart, needsRAG and needsDirect must be true',
+});
+
+// Reply of the chart extraction prompt
+const chartSchema = z.object({
+  chartType: z.enum(CHART_TYPES),
+  title: z.string().min(1),
+  labels: z.array(z.coerce.string()).min(1),
+  data: z.array(z.number().finite()).min(1),
+  exampleData: z.boolean(),
+}).refine(params => params.labels.length === params.data.length, {
+  message: 'labels and data must have the same number of entries',
+  path: ['data'],
+});
+
 /**
  * Analyze user query to determine which tools to use
  * @param {string} query - User's query
- * @returns {Promise<Object>} Decision object with tool requirements
+ * @param {string} conversation - Earlier turns, so follow-ups are routed like the question they refer to
+ * @param {string} tenant - Tenant whose prompt overrides apply
+ * @returns {Promise<Object>} Decision object with tool requirements, the prompts used (routing first, then
+ *   the repair prompt if one was needed), the number of repairs, and the error if routing failed
  */
-async function analyzeQuery(query) {
-  const model = getGeminiModel({ temperature: 0.3 });
-  
-  const analysisPrompt = `You are a routing assistant. Analyze the user's query and determine which tools are needed.
-
-Available tools:
-1. CHART - Generate Chart.js visualizations (bar, line, pie, doughnut, radar charts)
-2. RAG - Search knowledge base and retrieve information
-3. DIRECT - Answer directly without tools
-
-User Query: "${query}"
-
-Analyze the query and respond in JSON format:
-{
-  "needsChart": true/false,
-  "needsRAG": true/false,
-  "needsDirect": true/false,
-  "reasoning": "brief explanation of your decision"
-}
-
-Rules:
-- Set needsChart=true if user wants to visualize data, create a chart, or see a graph
-- Set needsRAG=true if user is asking a question that might be in a knowledge base
-- Set needsDirect=true if the query is a simple greeting, thank you, or general question
-- Multiple tools can be true if the query requires both charting and data retrieval
-
-Respond ONLY with valid JSON, no other text.`;
+async function analyzeQuery(query, conversation = '', tenant = null) {
+  const analysisPrompt = await renderPrompt('routing', {
+    query,
+    conversation,
+    today: new Date().toISOString().slice(0, 10),
+  }, { tenant });
 
   try {
-    const response = await model.invoke(analysisPrompt);
-    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-      const decision = JSON.parse(jsonMatch[0]);
-      console.log('🎯 Query Analysis:', decision);
-      return decision;
-    } else {
-      // Default fallback
-      return {
-        needsChart: false,
-        needsRAG: true,
-        needsDirect: false,
-        reasoning: 'Could not parse LLM response, defaulting to RAG'
-      };
-    }
+    const model = await getChatModel('routing', { temperature: 0.3 });
+    const { data, repairs, prompts } = await invokeStructured(model, analysisPrompt, routingSchema, { tenant });
+    console.log('🎯 Query Analysis:', data);
+    return { ...data, repairs, prompts: [promptInfo(analysisPrompt), ...prompts] };
   } catch (error) {
-    console.error('⚠️  Error analyzing query:', error.message);
-    // Default to RAG if analysis fails
+    // Searching the knowledge base is the safest default; the error is reported in metadata
+    console.error('❌ Query analysis failed, defaulting to RAG:', error.message);
     return {
       needsChart: false,
       needsRAG: true,
       needsDirect: false,
-      reasoning: 'Error in analysis, defaulting to RAG'
+      filters: null,
+      reasoning: 'Query analysis failed, defaulting to RAG',
+      error: error.message,
+      prompts: [promptInfo(analysisPrompt), ...(error.prompts || [])],
     };
   }
 }
@@ -79,72 +95,49 @@ Respond ONLY with valid JSON, no other text.`;
 /**
  * Handle direct answer without tools
  * @param {string} query - User's query
+ * @param {string} conversation - Earlier turns of the conversation
+ * @param {string} tenant - Tenant whose prompt overrides apply
  * @returns {Promise<Object>} Response object
  */
-async function handleDirectAnswer(query) {
-  const model = getGeminiModel({ temperature: 0.7 });
+async function handleDirectAnswer(query, conversation = '', tenant = null) {
+  const model = await getChatModel('direct', { temperature: 0.7 });
   
-  const response = await model.invoke(`You are a helpful AI assistant. Answer the user's query in a friendly and concise manner.
-
-User Query: ${query}
-
-Answer:`);
+  const prompt = await renderPrompt('direct-answer', { query, conversation }, { tenant });
+  const answer = await streamText(model, prompt.text, { source: 'direct' });
   
   return {
-    answer: response.content,
+    answer,
     fileIds: [],
     references: [],
     chartConfig: null,
+    prompt: promptInfo(prompt),
   };
 }
 
 /**
  * Extract chart parameters from user query
  * @param {string} query - User's query
- * @returns {Promise<Object>} Chart parameters
+ * @param {string} tenant - Tenant whose prompt overrides apply
+ * @returns {Promise<Object>} { params, prompts, repairs, error, invalid }: the validated chart parameters
+ *   (null if extraction failed, with the reason in error; invalid is true when the model replied but no
+ *   valid parameters could be read) and the prompts used
  */
-async function extractChartParams(query) {
-  const model = getGeminiModel({ temperature: 0.3 });
-  
-  const extractionPrompt = `Extract chart parameters from the user's query.
-
-User Query: "${query}"
-
-Respond in JSON format:
-{
-  "chartType": "bar" | "line" | "pie" | "doughnut" | "radar",
-  "title": "chart title",
-  "labels": ["label1", "label2", ...],
-  "data": [number1, number2, ...]
-}
-
-If the user doesn't specify data, create reasonable example data.
-If the user doesn't specify a chart type, choose the most appropriate one.
-
-Respond ONLY with valid JSON, no other text.`;
+async function extractChartParams(query, tenant = null) {
+  const extractionPrompt = await renderPrompt('chart-extraction', { query }, { tenant });
 
   try {
-    const response = await model.invoke(extractionPrompt);
-    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-    
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    } else {
-      // Default chart
-      return {
-        chartType: 'bar',
-        title: 'Sample Chart',
-        labels: ['A', 'B', 'C'],
-        data: [10, 20, 15]
-      };
-    }
+    const model = await getChatModel('chart', { temperature: 0.3 });
+    const { data, repairs, prompts } = await invokeStructured(model, extractionPrompt, chartSchema, { tenant });
+    return { params: data, repairs, prompts: [promptInfo(extractionPrompt), ...prompts], error: null, invalid: false };
   } catch (error) {
-    console.error('⚠️  Error extracting chart params:', error.message);
+    // No chart rather than a made-up one; the caller tells the user
+    console.error('❌ Chart extraction failed:', error.message);
     return {
-      chartType: 'bar',
-      title: 'Sample Chart',
-      labels: ['A', 'B', 'C'],
-      data: [10, 20, 15]
+      params: null,
+      repairs: null,
+      prompts: [promptInfo(extractionPrompt), ...(error.prompts || [])],
+      error: error.message,
+      invalid: error.code === 'STRUCTURED_OUTPUT_INVALID',
     };
   }
 }
@@ -153,10 +146,15 @@ Respond ONLY with valid JSON, no other text.`;
  * Main delegating agent function
  * @param {string} userQuery - User's query
  * @param {Object} options - Additional options
+ * @param {string} options.tenant - Tenant to search in
+ * @param {Object} options.filters - Metadata filters for RAG; they take precedence over filters
+ *   extracted from the query (see retrieval/filters.js)
+ * @param {Object} options.conversation - { history, summary } of the thread (see memory/history.js)
  * @returns {Promise<Object>} Complete response with answer, references, and/or chart config
  */
 export async function delegateQuery(userQuery, options = {}) {
-  const { tenant = 'tenant1' } = options;
+  const { tenant = getConfig('tenants').defaultTenant } = options;
+  const conversation = formatConversation(options.conversation);
   
   console.log('\n' + '='.repeat(70));
   console.log('🤖 DELEGATING AGENT: Processing query');
@@ -167,7 +165,7 @@ export async function delegateQuery(userQuery, options = {}) {
   
   try {
     // Step 1: Analyze the query to determine which tools to use
-    const decision = await analyzeQuery(userQuery);
+    const decision = await analyzeQuery(userQuery, conversation, tenant);
     console.log('💭 Reasoning:', decision.reasoning);
     console.log('-'.repeat(70));
     
@@ -177,18 +175,31 @@ export async function delegateQuery(userQuery, options = {}) {
       fileIds: [],
       references: [],
       chartConfig: null,
+      ragAnswer: null,
+      metadata: {
+        // Name and version of every prompt template used, in order
+        prompts: [...decision.prompts],
+        routing: decision.error ? { repairs: null, error: decision.error } : { repairs: decision.repairs },
+      },
     };
     
     // Step 2: Execute required tools
     const tasks = [];
     
+    // Filters given by the caller win over those the router read from the query
+    const filters = normalizeFilters({ ...decision.filters, ...normalizeFilters(options.filters) });
+    if (filters) {
+      response.metadata.filters = describeFilters(filters);
+    }
+    
     // Handle RAG if needed
     if (decision.needsRAG) {
       console.log('🔍 Executing: RAG Agent');
       tasks.push(
-        ragGenerate(userQuery, tenant).then(ragResult => ({
+        ragGenerate(userQuery, tenant, { filters, conversation }).then(ragResult => ({
           type: 'rag',
-          data: ragResult
+          data: ragResult,
+          prompts: ragResult.metadata?.prompt ? [ragResult.metadata.prompt] : [],
         }))
       );
     }
@@ -197,12 +208,20 @@ export async function delegateQuery(userQuery, options = {}) {
     if (decision.needsChart) {
       console.log('📊 Executing: Chart.js Tool');
       tasks.push(
-        extractChartParams(userQuery).then(chartParams => 
-          mockGenerateChart(chartParams)
-        ).then(chartConfig => ({
-          type: 'chart',
-          data: chartConfig
-        }))
+        extractChartParams(userQuery, tenant).then(async ({ params, prompts, repairs, error, invalid }) => {
+          response.metadata.chart = { repairs, exampleData: params?.exampleData ?? null, error };
+          if (!params) {
+            return { type: 'chart', data: null, prompts, error, invalid };
+          }
+          const chartConfig = await mockGenerateChart(params);
+          await emitEvent(EVENTS.CHART, { chartConfig });
+          return {
+            type: 'chart',
+            data: chartConfig,
+            prompts,
+            exampleData: params.exampleData,
+          };
+        })
       );
     }
     
@@ -210,9 +229,10 @@ export async function delegateQuery(userQuery, options = {}) {
     if (decision.needsDirect && !decision.needsRAG && !decision.needsChart) {
       console.log('💬 Executing: Direct Answer');
       tasks.push(
-        handleDirectAnswer(userQuery).then(directResult => ({
+        handleDirectAnswer(userQuery, conversation, tenant).then(({ prompt, ...directResult }) => ({
           type: 'direct',
-          data: directResult
+          data: directResult,
+          prompts: [prompt],
         }))
       );
     }
@@ -225,18 +245,38 @@ export async function delegateQuery(userQuery, options = {}) {
     // Step 3: Combine results
     let ragData = null;
     let chartData = null;
+    let chartNote = null;
     let directData = null;
     
     results.forEach(result => {
+      response.metadata.prompts.push(...result.prompts);
       if (result.type === 'rag') {
         ragData = result.data;
       } else if (result.type === 'chart') {
         chartData = result.data;
+        // Users are always told when there is no chart or it shows made-up numbers
+        if (result.error && result.invalid) {
+          chartNote = 'I couldn\'t generate the chart you asked for: no valid labels and values could be read from your request. Please list the labels and values to plot.';
+        } else if (result.error) {
+          chartNote = 'I couldn\'t generate the chart you asked for because of an error in the chart model. Please try again later.';
+        } else if (result.exampleData) {
+          chartNote = 'Note: your request didn\'t include data, so the chart shows example values, not real figures.';
+        }
       } else if (result.type === 'direct') {
         directData = result.data;
       }
     });
     
+    if (ragData) {
+      response.metadata.insufficientEvidence = ragData.insufficientEvidence;
+      response.metadata.retrieval = ragData.metadata?.retrieval;
+      response.metadata.queryTransform = ragData.metadata?.queryTransform;
+      response.metadata.context = ragData.metadata?.context;
+      response.metadata.citations = ragData.metadata?.citations;
+      // The knowledge base part of the answer, verified by the graph's groundedness check
+      response.ragAnswer = ragData.insufficientEvidence ? null : ragData.answer;
+    }
+    
     // Build the final response
     if (ragData && chartData) {
       // Both RAG and Chart
@@ -246,7 +286,7 @@ export async function delegateQuery(userQuery, options = {}) {
       response.chartConfig = chartData;
       console.log('✅ Response: RAG + Chart (Parallel Execution)');
     } else if (ragData) {
-      // RAG only
+      // RAG only (or a chart that failed)
       response.answer = ragData.answer;
       response.fileIds = ragData.fileIds;
       response.references = ragData.references;
@@ -256,6 +296,9 @@ export async function delegateQuery(userQuery, options = {}) {
       response.answer = 'I\'ve generated the chart visualization as requested.';
       response.chartConfig = chartData;
       console.log('✅ Response: Chart only');
+    } else if (chartNote) {
+      // Chart requested but failed: the note below is the answer
+      console.log('⚠️  Response: Chart failed');
     } else if (directData) {
       // Direct answer
       response.answer = directData.answer;
@@ -266,6 +309,10 @@ export async function delegateQuery(userQuery, options = {}) {
       console.log('⚠️  Response: Fallback');
     }
     
+    if (chartNote) {
+      response.answer = response.answer ? `${response.answer}\n\n${chartNote}` : chartNote;
+    }
+    
     console.log('-'.repeat(70));
     console.log('🎉 DELEGATING AGENT: Completed successfully');
     console.log('='.repeat(70) + '\n');
@@ -330,9 +377,6 @@ async function testDelegatingAgent() {
       console.log('-'.repeat(70));
       console.log('✅ TEST PASSED\n');
       
-      // Wait a bit between tests to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
     } catch (error) {
       console.error('❌ TEST FAILED:', error.message);
     }
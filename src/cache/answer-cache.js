@@ -0,0 +1,237 @@
+import { describeFilters } from '../retrieval/filters.js';
+import { getConfig } from '../config/config.js';
+import { cosineSimilarity } from '../llm/embeddings.js';
+
+/**
+ * Answer Cache
+ *
+ * Complete responses are cached per tenant so a repeated question skips
+ * routing, retrieval and generation. A question matches a cached one when:
+ * - its normalized text is the same (case, punctuation and spacing ignored), or
+ * - its embedding is at least RAG_CACHE_SIMILARITY (default 0.95) cosine
+ *   similar to the cached question's
+ * and it was asked with the same metadata filters.
+ *
+ * Entries expire after RAG_CACHE_TTL seconds (default 3600). Every entry
+ * records the tenant's data version (see retriever.dataVersion); when the
+ * tenant's QACollection data changes, all of its entries are dropped.
+ * RAG_CACHE=off disables the cache.
+ *
+ * Limitation: with Weaviate the data version is a counter file that this
+ * project's ingestion, feedback promotion, tenant and migration commands
+ * increment (see database/data-versions.js). It is only shared by processes
+ * on the same machine and checkout; changes made elsewhere, or directly in
+ * Weaviate, are picked up only once the entries expire after RAG_CACHE_TTL.
+ */
+
+const DEFAULT_MAX_ENTRIES = 200;   // per tenant, oldest evicted first
+
+/**
+ * Normalize a question for exact matching
+ * @param {string} query - Question
+ * @returns {string} Lowercase text without punctuation or extra spaces
+ */
+export function normalizeQuery(query) {
+  return String(query)
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Create an answer cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlSeconds - Entry lifetime (default: RAG_CACHE_TTL or 3600)
+ * @param {number} options.similarity - Minimum cosine similarity for a semantic match
+ *   (default: RAG_CACHE_SIMILARITY or 0.95; 1 or more means exact matches only)
+ * @param {number} options.maxEntries - Entries kept per tenant (default: 200)
+ * @param {Function} options.embed - (text) => Promise<number[]> (default: embedQuery of llm/embeddings.js)
+ * @returns {Object} Cache with lookup(), store(), invalidate() and stats()
+ */
+export function createAnswerCache(options = {}) {
+  const config = getConfig('cache');
+  const {
+    ttlSeconds = config.ttlSeconds,
+    similarity = config.similarity,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+  } = options;
+
+  const tenants = new Map();   // tenant → { dataVersion, entries: [] }
+  const counters = { hits: 0, misses: 0, invalidations: 0 };
+  let embed = options.embed || null;
+  let embeddingsFailed = false;
+
+  /**
+   * Embed a question, or null when semantic matching is off or unavailable
+   * @param {string} text - Question
+   * @returns {Promise<number[]|null>} Vector
+   */
+  const embedText = async (text) => {
+    if (similarity >= 1 || embeddingsFailed) {
+      return null;
+    }
+    try {
+      if (!embed) {
+        const { embedQuery } = await import('../llm/embeddings.js');
+        embed = embedQuery;
+      }
+      return await embed(text);
+    } catch (error) {
+      // Fall back to exact matches for the rest of the process
+      console.error('⚠️  Answer cache: embeddings unavailable, using exact matches only:', error.message);
+      embeddingsFailed = true;
+      return null;
+    }
+  };
+
+  /**
+   * Get a tenant's entries, dropping them if its data changed and dropping expired ones
+   * @param {string} tenant - Tenant name
+   * @param {string|null} dataVersion - Current data version
+   * @returns {Array} Live entries
+   */
+  const liveEntries = (tenant, dataVersion) => {
+    const shard = tenants.get(tenant);
+    if (!shard) {
+      return [];
+    }
+    if (shard.dataVersion !== dataVersion) {
+      tenants.delete(tenant);
+      counters.invalidations += 1;
+      return [];
+    }
+    const now = Date.now();
+    shard.entries = shard.entries.filter(entry => entry.expiresAt > now);
+    return shard.entries;
+  };
+
+  return {
+    /**
+     * Find a cached response
+     * @param {string} tenant - Tenant name
+     * @param {string} query - Question
+     * @param {Object} params - { filters, dataVersion }
+     * @returns {Promise<Object|null>} { response, match: 'exact' | 'semantic', similarity, ageSeconds } or null
+     */
+    async lookup(tenant, query, { filters = null, dataVersion = null } = {}) {
+      const filtersKey = describeFilters(filters);
+      const candidates = liveEntries(tenant, dataVersion).filter(entry => entry.filtersKey === filtersKey);
+      const normalized = normalizeQuery(query);
+
+      let match = null;
+      const exact = candidates.find(entry => entry.normalized === normalized);
+      if (exact) {
+        match = { entry: exact, match: 'exact', similarity: 1 };
+      } else if (candidates.length > 0) {
+        const vector = await embedText(query);
+        if (vector) {
+          candidates
+            .filter(entry => entry.vector)
+            .forEach((entry) => {
+              const score = cosineSimilarity(vector, entry.vector);
+              if (score >= similarity && (!match || score > match.similarity)) {
+                match = { entry, match: 'semantic', similarity: score };
+              }
+            });
+        }
+      }
+
+      if (!match) {
+        counters.misses += 1;
+        return null;
+      }
+
+      counters.hits += 1;
+      match.entry.hits += 1;
+      return {
+        response: structuredClone(match.entry.response),
+        match: match.match,
+        similarity: match.similarity,
+        ageSeconds: Math.round((Date.now() - match.entry.createdAt) / 1000),
+      };
+    },
+
+    /**
+     * Cache a response
+     * @param {string} tenant - Tenant name
+     * @param {string} query - Question
+     * @param {Object} response - { answer, fileIds, references, chartConfig, metadata }
+     * @param {Object} params - { filters, dataVersion } the response was generated with
+     */
+    async store(tenant, query, response, { filters = null, dataVersion = null } = {}) {
+      liveEntries(tenant, dataVersion);
+      if (!tenants.has(tenant)) {
+        tenants.set(tenant, { dataVersion, entries: [] });
+      }
+      const shard = tenants.get(tenant);
+      const normalized = normalizeQuery(query);
+      const filtersKey = describeFilters(filters);
+
+      shard.entries = shard.entries.filter(entry => !(entry.normalized === normalized && entry.filtersKey === filtersKey));
+      shard.entries.push({
+        normalized,
+        filtersKey,
+        vector: await embedText(query),
+        response: structuredClone(response),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + ttlSeconds * 1000,
+        hits: 0,
+      });
+      shard.entries = shard.entries.slice(-maxEntries);
+    },
+
+    /**
+     * Drop cached responses
+     * @param {string} tenant - Tenant name (omit to clear every tenant)
+     */
+    invalidate(tenant) {
+      if (tenant) {
+        tenants.delete(tenant);
+      } else {
+        tenants.clear();
+      }
+    },
+
+    /**
+     * Cache statistics
+     * @returns {Object} { hits, misses, invalidations, entries: { tenant: count } }
+     */
+    stats() {
+      const entries = {};
+      tenants.forEach((shard, tenant) => {
+        entries[tenant] = shard.entries.length;
+      });
+      return { ...counters, entries };
+    },
+  };
+}
+
+let defaultCache;
+
+/**
+ * Get the shared answer cache
+ * @returns {Object|null} Cache, or null when RAG_CACHE is 'off'
+ */
+export function getAnswerCache() {
+  if (defaultCache === undefined) {
+    defaultCache = getConfig('cache').enabled ? createAnswerCache() : null;
+  }
+  return defaultCache;
+}
+
+/**
+ * Replace the shared answer cache
+ * @param {Object|null} cache - Cache, null to disable caching
+ */
+export function setAnswerCache(cache) {
+  defaultCache = cache;
+}
+
+export default {
+  normalizeQuery,
+  createAnswerCache,
+  getAnswerCache,
+  setAnswerCache,
+};
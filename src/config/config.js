@@ -0,0 +1,371 @@
+import { z } from 'zod';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Configuration
+ *
+ * Every setting is read from an environment variable (or .env) and grouped
+ * into sections:
+ *   llm, models, resilience, embeddings, weaviate, tenants, retrieval, generation, memory, cache, usage, storage
+ *
+ * Sections are validated with zod when they are read, not on import, so a
+ * missing or invalid setting only fails the component that uses it:
+ * - getConfig(section) returns the typed values of one section and throws if
+ *   one of them is invalid (e.g. RAG_CACHE_TTL=soon)
+ * - requireSetting(section, key) also throws if the setting is not set
+ *   (e.g. GOOGLE_API_KEY, only when a Gemini model is created)
+ *
+ * Values are read on every call, so changes to process.env apply immediately.
+ *
+ * CLI: npm run config -- check   prints the resolved config with secrets redacted (see index.js)
+ */
+
+/**
+ * Define a setting
+ * @param {string} env - Environment variable name
+ * @param {Object} schema - zod schema of the parsed value
+ * @param {Object} options - { description, secret, hint }
+ * @returns {Object} Setting definition
+ */
+function setting(env, schema, options = {}) {
+  return { env, schema, ...options };
+}
+
+// Value types; empty strings count as unset
+const text = () => z.string().min(1);
+const number = () => z.coerce.number({ invalid_type_error: 'must be a number' });
+const integer = () => number().int('must be a whole number');
+const share = () => number().min(0, 'must be between 0 and 1').max(1, 'must be between 0 and 1');
+const url = () => z.string().url('must be a URL');
+const boolean = () => z.string()
+  .transform(value => value.toLowerCase())
+  .refine(value => ['1', 'true', 'yes', 'on', '0', 'false', 'no', 'off'].includes(value), 'must be true or false')
+  .transform(value => ['1', 'true', 'yes', 'on'].includes(value));
+
+// Tasks whose chat model can be chosen separately (see llm/models.js)
+export const MODEL_TASKS = [
+  'routing',          // query analysis of the delegating agent
+  'chart',            // chart parameter extraction
+  'direct',           // answers without tools
+  'rag',              // answers from retrieved documents
+  'groundedness',     // claim verification
+  'regenerate',       // regeneration of poorly grounded answers
+  'condense',         // standalone rewrite of follow-up questions
+  'summary',          // conversation summaries
+  'rerank',           // LLM reranker
+  'query-transform',  // LLM query rewriting
+  'context-summary',  // summaries of long answers in the context
+  'questions',        // question generation during ingestion
+];
+
+// Supported retrieval modes across backends (see retrieval/retriever.js)
+export const SEARCH_MODES = ['bm25', 'vector', 'hybrid'];
+
+const modelSpec = () => z.string().regex(/^[\w-]+(:.+)?$/, 'must be <provider> or <provider>:<model>');
+
+export const CONFIG_SECTIONS = {
+  llm: {
+    provider: setting('LLM_PROVIDER', text().default('gemini'), { description: 'Default chat model provider' }),
+    model: setting('LLM_MODEL', text().optional(), { description: 'Default chat model' }),
+    googleApiKey: setting('GOOGLE_API_KEY', text().optional(), {
+      description: 'Google Gemini API key',
+      secret: true,
+      hint: 'Get a key at https://makersuite.google.com/app/apikey and add GOOGLE_API_KEY=... to .env',
+    }),
+    openaiApiKey: setting('OPENAI_API_KEY', text().optional(), { description: 'OpenAI API key', secret: true }),
+    openaiBaseUrl: setting('OPENAI_BASE_URL', url().optional(), { description: 'OpenAI-compatible endpoint' }),
+    ollamaBaseUrl: setting('OLLAMA_BASE_URL', url().default('http://localhost:11434'), { description: 'Ollama server' }),
+    fakeScript: setting('LLM_FAKE_SCRIPT', text().optional(), { description: 'Rules of the fake provider' }),
+    structuredRepairs: setting('LLM_STRUCTURED_REPAIRS', integer().min(0).default(2), { description: 'Repairs of invalid JSON replies' }),
+  },
+
+  // LLM_<TASK>=<provider>[:<model>] overrides the default model of one task
+  models: Object.fromEntries(MODEL_TASKS.map(task => [
+    task,
+    setting(`LLM_${task.toUpperCase().replace(/-/g, '_')}`, modelSpec().optional(), { description: `Model of the ${task} task` }),
+  ])),
+
+  // Retries, rate limiting and circuit breaking of model calls (see llm/resilience.js)
+  resilience: {
+    maxRetries: setting('LLM_MAX_RETRIES', integer().min(0).default(3), { description: 'Retries of a failed model call' }),
+    retryBaseMs: setting('LLM_RETRY_BASE_MS', integer().min(0).default(500), { description: 'First retry delay (ms)' }),
+    retryMaxMs: setting('LLM_RETRY_MAX_MS', integer().min(0).default(10000), { description: 'Maximum retry delay (ms)' }),
+    concurrency: setting('LLM_CONCURRENCY', integer().positive().default(4), { description: 'Model calls in flight' }),
+    requestsPerMinute: setting('LLM_REQUESTS_PER_MINUTE', number().positive().optional(), { description: 'Model calls started per minute' }),
+    breakerThreshold: setting('LLM_BREAKER_THRESHOLD', integer().positive().default(5), { description: 'Failures that open a circuit' }),
+    breakerCooldownMs: setting('LLM_BREAKER_COOLDOWN_MS', integer().min(0).default(30000), { description: 'Open circuit cooldown (ms)' }),
+    fallback: setting('LLM_FALLBACK', modelSpec().optional(), { description: 'Model used when a call fails' }),
+  },
+
+  embeddings: {
+    provider: setting('EMBEDDINGS_PROVIDER', text().default('gemini'), { description: 'Embedding provider' }),
+    model: setting('EMBEDDINGS_MODEL', text().optional(), { description: 'Embedding model' }),
+  },
+
+  // Unset values fall back to the Weaviate config file (see database/connection.js)
+  weaviate: {
+    configPath: setting('WEAVIATE_CONFIG', text().optional(), { description: 'JSON connection config file' }),
+    host: setting('WEAVIATE_HOST', text().optional(), { description: 'Host or URL' }),
+    httpPort: setting('WEAVIATE_HTTP_PORT', integer().positive().optional(), { description: 'HTTP port' }),
+    grpcHost: setting('WEAVIATE_GRPC_HOST', text().optional(), { description: 'gRPC host' }),
+    grpcPort: setting('WEAVIATE_GRPC_PORT', integer().positive().optional(), { description: 'gRPC port' }),
+    secure: setting('WEAVIATE_SECURE', boolean().optional(), { description: 'Use TLS' }),
+    apiKey: setting('WEAVIATE_API_KEY', text().optional(), { description: 'API key', secret: true }),
+    timeoutInit: setting('WEAVIATE_TIMEOUT_INIT', number().positive().optional(), { description: 'Init timeout (s)' }),
+    timeoutQuery: setting('WEAVIATE_TIMEOUT_QUERY', number().positive().optional(), { description: 'Query timeout (s)' }),
+    timeoutInsert: setting('WEAVIATE_TIMEOUT_INSERT', number().positive().optional(), { description: 'Insert timeout (s)' }),
+  },
+
+  tenants: {
+    defaultTenant: setting('RAG_DEFAULT_TENANT', z.string().regex(/^[A-Za-z0-9_-]{1,64}$/, 'must be a valid tenant name')
+      .default('tenant1'), { description: 'Tenant used when none is given' }),
+  },
+
+  retrieval: {
+    retriever: setting('RAG_RETRIEVER', text().default('weaviate'), { description: 'Retriever backend' }),
+    memoryData: setting('RAG_MEMORY_DATA', text().optional(), { description: 'Data of the memory retriever (default: data/seed)' }),
+    searchMode: setting('RAG_SEARCH_MODE', z.enum(SEARCH_MODES).default('hybrid'), { description: 'Search mode' }),
+    hybridAlpha: setting('RAG_HYBRID_ALPHA', share().default(0.5), { description: 'Hybrid vector weight' }),
+    minScoreBm25: setting('RAG_MIN_SCORE_BM25', number().default(0.25), { description: 'Minimum BM25 score' }),
+    minScoreVector: setting('RAG_MIN_SCORE_VECTOR', number().default(0.6), { description: 'Minimum vector score' }),
+    minScoreHybrid: setting('RAG_MIN_SCORE_HYBRID', number().default(0.5), { description: 'Minimum hybrid cosine similarity' }),
+    maxVectorDistance: setting('RAG_MAX_VECTOR_DISTANCE', number().min(0).default(0.5), { description: 'Maximum vector distance' }),
+    reranker: setting('RAG_RERANKER', text().optional(), { description: 'Reranker' }),
+    rerankCandidates: setting('RAG_RERANK_CANDIDATES', integer().positive().default(20), { description: 'Candidates for reranking' }),
+    queryTransform: setting('RAG_QUERY_TRANSFORM', text().default('keywords'), { description: 'Query rewriting' }),
+  },
+
+  generation: {
+    contextTokens: setting('RAG_CONTEXT_TOKENS', integer().positive().optional(), { description: 'Context budget (tokens)' }),
+    contextStrategy: setting('RAG_CONTEXT_STRATEGY', text().default('truncate'), { description: 'Shortening of long answers' }),
+    groundedness: setting('RAG_GROUNDEDNESS', text().default('llm'), { description: 'Groundedness check' }),
+    minGroundedness: setting('RAG_MIN_GROUNDEDNESS', share().default(0.7), { description: 'Minimum groundedness' }),
+  },
+
+  memory: {
+    checkpointer: setting('RAG_CHECKPOINTER', text().default('memory'), { description: 'Conversation state storage' }),
+    checkpointPath: setting('RAG_CHECKPOINT_PATH', text().default('.data/checkpoints.json'), { description: 'Checkpoint file' }),
+    historyTurns: setting('RAG_HISTORY_TURNS', integer().min(0).default(6), { description: 'Turns kept verbatim' }),
+    sessionsDir: setting('RAG_SESSIONS_DIR', text().default('.data/sessions'), { description: 'CLI sessions' }),
+  },
+
+  cache: {
+    enabled: setting('RAG_CACHE', boolean().default('on'), { description: 'Answer cache' }),
+    ttlSeconds: setting('RAG_CACHE_TTL', number().positive().default(3600), { description: 'Lifetime of cached answers (s)' }),
+    similarity: setting('RAG_CACHE_SIMILARITY', number().min(0).default(0.95), { description: 'Semantic match similarity' }),
+  },
+
+  usage: {
+    record: setting('RAG_USAGE', boolean().default('on'), { description: 'Token usage recording' }),
+    dir: setting('RAG_USAGE_DIR', text().default('.data/usage'), { description: 'Usage totals per tenant' }),
+    pricesFile: setting('LLM_PRICES_FILE', text().optional(), { description: 'Price table overrides (JSON)' }),
+  },
+
+  storage: {
+    feedbackDir: setting('RAG_FEEDBACK_DIR', text().default('.data/feedback'), { description: 'Answer feedback' }),
+    dataVersions: setting('RAG_DATA_VERSIONS', text().default('.data/data-versions.json'), { description: 'Data version counters' }),
+    promptOverrides: setting('RAG_PROMPT_OVERRIDES', text().default('prompts/tenants'), { description: 'Tenant prompt overrides' }),
+  },
+};
+
+/**
+ * Get the definition of a section
+ * @param {string} section - Section name
+ * @returns {Object} Settings by key
+ * @throws {Error} If the section doesn't exist
+ */
+function sectionSettings(section) {
+  const settings = CONFIG_SECTIONS[section];
+  if (!settings) {
+    throw new Error(`Unknown config section "${section}". Use one of: ${Object.keys(CONFIG_SECTIONS).join(', ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Read and validate one setting from the environment
+ * @param {Object} definition - Setting definition
+ * @returns {Object} { value } when valid, else { raw, issue } with the raw variable and what is wrong with it
+ */
+function readSetting({ env, schema }) {
+  const raw = process.env[env];
+  const result = schema.safeParse(raw === '' ? undefined : raw);
+  return result.success ? { value: result.data } : { raw, issue: result.error.issues[0].message };
+}
+
+/**
+ * Read and validate one section
+ * @param {string} section - Section name (see CONFIG_SECTIONS)
+ * @returns {Object} Typed values by key (unset optional settings are undefined)
+ * @throws {Error} If a setting is invalid, naming every invalid variable
+ */
+export function getConfig(section) {
+  const settings = sectionSettings(section);
+  const values = {};
+  const problems = [];
+
+  Object.entries(settings).forEach(([key, definition]) => {
+    const { value, raw, issue } = readSetting(definition);
+    if (issue) {
+      problems.push(`${definition.env} ${issue} (got "${definition.secret ? redact(raw) : raw}")`);
+    } else {
+      values[key] = value;
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${section} configuration: ${problems.join('; ')}`);
+  }
+  return values;
+}
+
+/**
+ * Get a setting that must be set
+ * @param {string} section - Section name
+ * @param {string} key - Setting key
+ * @param {string} reason - What needs it, for the error message (e.g. 'the gemini provider')
+ * @returns {*} Value
+ * @throws {Error} If the setting is invalid or not set
+ */
+export function requireSetting(section, key, reason = '') {
+  const definition = sectionSettings(section)[key];
+  if (!definition) {
+    throw new Error(`Unknown setting "${section}.${key}"`);
+  }
+
+  const value = getConfig(section)[key];
+  if (value === undefined) {
+    const needed = reason ? ` (needed by ${reason})` : '';
+    const hint = definition.hint ? `. ${definition.hint}` : '';
+    throw new Error(`${definition.env} is not set${needed}${hint}`);
+  }
+  return value;
+}
+
+/**
+ * Hide a secret value
+ * @param {*} value - Value
+ * @returns {string} Masked value that only shows whether it is set
+ */
+export function redact(value) {
+  return value === undefined ? undefined : '********';
+}
+
+/**
+ * Hide credentials in a URL
+ * @param {string} value - URL
+ * @returns {string} URL without its password
+ */
+function redactUrl(value) {
+  try {
+    const parsed = new URL(value);
+    if (!parsed.password) {
+      return value;
+    }
+    parsed.password = '********';
+    return parsed.toString();
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * List the keys missing for the providers in use
+ * Only reported by checkConfig(); at run time they fail when a model is created.
+ * @returns {string[]} Warnings
+ */
+function missingProviderKeys() {
+  let llm;
+  let providers;
+  let embeddings;
+  try {
+    llm = getConfig('llm');
+    providers = new Set([llm.provider, ...[...Object.values(getConfig('models')), getConfig('resilience').fallback]
+      .filter(Boolean)
+      .map(spec => spec.split(':')[0])]);
+    embeddings = getConfig('embeddings');
+  } catch {
+    // Reported with the section
+    return [];
+  }
+
+  const warnings = [];
+  if ((providers.has('gemini') || embeddings.provider === 'gemini') && !llm.googleApiKey) {
+    warnings.push('GOOGLE_API_KEY is not set but Gemini models or embeddings are configured');
+  }
+  if (providers.has('openai') && !llm.openaiApiKey && !llm.openaiBaseUrl) {
+    warnings.push('OPENAI_API_KEY is not set but the openai provider is configured');
+  }
+  return warnings;
+}
+
+/**
+ * Resolve every section for display
+ * @returns {Object} { ok, warnings, sections: { [section]: { settings: [{ key, env, value, description, error }], error } } }
+ *   with secrets redacted; invalid settings show their raw value and carry their error, and so does their section
+ */
+export function checkConfig() {
+  const sections = {};
+
+  Object.entries(CONFIG_SECTIONS).forEach(([section, settings]) => {
+    let error = null;
+    try {
+      getConfig(section);
+    } catch (err) {
+      error = err.message;
+    }
+
+    sections[section] = {
+      error,
+      settings: Object.entries(settings).map(([key, definition]) => {
+        const { value: resolved, raw, issue } = readSetting(definition);
+        let value = issue ? raw : resolved;
+        if (definition.secret) {
+          value = redact(value);
+        } else if (typeof value === 'string' && /^\w+:\/\//.test(value)) {
+          value = redactUrl(value);
+        }
+        return { key, env: definition.env, value, description: definition.description, error: issue || null };
+      }),
+    };
+  });
+
+  return {
+    ok: Object.values(sections).every(section => !section.error),
+    warnings: missingProviderKeys(),
+    sections,
+  };
+}
+
+/**
+ * Print the resolved configuration
+ * @param {Object} report - Result of checkConfig()
+ */
+export function printConfig(report) {
+  Object.entries(report.sections).forEach(([section, { settings, error }]) => {
+    console.log(`\n${error ? '❌' : '✅'} ${section}`);
+    settings.forEach(({ env, value, description, error: issue }) => {
+      const shown = value === undefined ? '(not set)' : String(value);
+      console.log(`${issue ? '❌ ' : '   '}${env.padEnd(26)} ${shown.padEnd(28)} ${issue ? `invalid: ${issue}` : description}`);
+    });
+  });
+  if (report.warnings.length > 0) {
+    console.log('');
+    report.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  }
+  console.log(report.ok ? '\n✅ Configuration is valid\n' : '\n❌ Configuration has errors\n');
+}
+
+export default {
+  MODEL_TASKS,
+  SEARCH_MODES,
+  CONFIG_SECTIONS,
+  getConfig,
+  requireSetting,
+  redact,
+  checkConfig,
+  printConfig,
+};
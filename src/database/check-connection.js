@@ -1,4 +1,4 @@
-import weaviate from 'weaviate-client';
+import { getClient, closeClient, describeConnection } from './connection.js';
 
 /**
  * Check Weaviate database connection
@@ -7,11 +7,9 @@ import weaviate from 'weaviate-client';
 async function checkWeaviateConnection() {
   try {
     console.log('🔍 Checking Weaviate connection...\n');
+    console.log('🔌 Target:', describeConnection(), '\n');
     
-    const client = await weaviate.connectToLocal({
-      host: 'localhost',
-      port: 8080,
-    });
+    const client = await getClient();
 
     const isReady = await client.isReady();
     
@@ -25,10 +23,11 @@ async function checkWeaviateConnection() {
       console.log('\n✨ Connection test successful!\n');
     } else {
       console.log('❌ Weaviate is not ready');
+      await closeClient();
       process.exit(1);
     }
     
-    await client.close();
+    await closeClient();
   } catch (error) {
     console.error('❌ Error connecting to Weaviate:', error.message);
     console.log('\n💡 Make sure Weaviate is running with: docker-compose up -d\n');
@@ -37,4 +36,3 @@ async function checkWeaviateConnection() {
 }
 
 checkWeaviateConnection();
-
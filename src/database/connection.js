@@ -0,0 +1,209 @@
+import weaviate, { ApiKey } from 'weaviate-client';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Weaviate Connection Manager
+ *
+ * Keeps one long-lived client per process instead of connecting and closing
+ * on every query. The client is created lazily on first use, re-created when
+ * a health check fails or after it was closed, and closed on shutdown.
+ *
+ * Configuration (environment variables take precedence over the config file,
+ * see the weaviate section of config/config.js):
+ * - WEAVIATE_CONFIG        Path to a JSON config file (default: ./weaviate.config.json if present)
+ * - WEAVIATE_HOST          Host or URL, e.g. localhost or https://my-cluster.example.com
+ * - WEAVIATE_HTTP_PORT     HTTP port (default: 8080, or 443 when secure)
+ * - WEAVIATE_GRPC_HOST     gRPC host (default: same as WEAVIATE_HOST)
+ * - WEAVIATE_GRPC_PORT     gRPC port (default: 50051, or 443 when secure)
+ * - WEAVIATE_SECURE        Use TLS for HTTP and gRPC (true/false)
+ * - WEAVIATE_API_KEY       API key for authenticated clusters
+ * - WEAVIATE_TIMEOUT_INIT / WEAVIATE_TIMEOUT_QUERY / WEAVIATE_TIMEOUT_INSERT  Timeouts in seconds
+ */
+
+const DEFAULT_CONFIG_FILE = 'weaviate.config.json';
+
+// How often a cached client is re-checked before being handed out (ms)
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+let clientPromise = null;
+let lastHealthCheck = 0;
+
+/**
+ * Drop unset values so they don't override lower priority settings
+ * @param {Object} obj - Object to clean
+ * @returns {Object} Object without undefined or empty string values
+ */
+function defined(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined && value !== '')
+  );
+}
+
+/**
+ * Read the optional JSON config file
+ * @param {string} configPath - Path of the config file
+ * @param {boolean} required - Fail if the file doesn't exist (it was configured explicitly)
+ * @returns {Object} Parsed config, or an empty object if there is no file
+ */
+function readConfigFile(configPath, required) {
+  if (!existsSync(configPath)) {
+    if (required) {
+      throw new Error(`Weaviate config file not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid Weaviate config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the connection configuration from the config file and environment
+ * @returns {Object} { host, httpPort, grpcHost, grpcPort, secure, apiKey, timeout }
+ */
+export function loadConnectionConfig() {
+  const env = getConfig('weaviate');
+  const configPath = path.resolve(env.configPath || DEFAULT_CONFIG_FILE);
+  const file = readConfigFile(configPath, Boolean(env.configPath));
+
+  const config = {
+    host: 'localhost',
+    ...defined(file),
+    ...defined({
+      host: env.host,
+      httpPort: env.httpPort,
+      grpcHost: env.grpcHost,
+      grpcPort: env.grpcPort,
+      secure: env.secure,
+      apiKey: env.apiKey,
+    }),
+    timeout: {
+      init: 10,
+      query: 30,
+      insert: 90,
+      ...defined(file.timeout || {}),
+      ...defined({
+        init: env.timeoutInit,
+        query: env.timeoutQuery,
+        insert: env.timeoutInsert,
+      }),
+    },
+  };
+
+  // Accept a full URL as host, e.g. http://localhost:8080
+  if (/^https?:\/\//.test(config.host)) {
+    const url = new URL(config.host);
+    config.host = url.hostname;
+    config.secure ??= url.protocol === 'https:';
+    if (url.port) {
+      config.httpPort ??= Number(url.port);
+    }
+  }
+
+  config.secure ??= false;
+  config.httpPort ??= config.secure ? 443 : 8080;
+  config.grpcHost ??= config.host;
+  config.grpcPort ??= config.secure ? 443 : 50051;
+
+  return config;
+}
+
+/**
+ * Describe the connection config without secrets (for logging)
+ * @param {Object} config - Connection config
+ * @returns {string} Human readable description
+ */
+export function describeConnection(config = loadConnectionConfig()) {
+  const scheme = config.secure ? 'https' : 'http';
+  const auth = config.apiKey ? 'API key' : 'anonymous';
+  return `${scheme}://${config.host}:${config.httpPort} (gRPC ${config.grpcHost}:${config.grpcPort}, ${auth})`;
+}
+
+/**
+ * Open a new client for the given config
+ * @param {Object} config - Connection config
+ * @returns {Promise<Object>} Weaviate client instance
+ */
+async function connect(config) {
+  return weaviate.connectToCustom({
+    httpHost: config.host,
+    httpPort: config.httpPort,
+    httpSecure: config.secure,
+    grpcHost: config.grpcHost,
+    grpcPort: config.grpcPort,
+    grpcSecure: config.grpcSecure ?? config.secure,
+    authCredentials: config.apiKey ? new ApiKey(config.apiKey) : undefined,
+    headers: config.headers,
+    timeout: config.timeout,
+  });
+}
+
+/**
+ * Get the shared Weaviate client, connecting lazily
+ * Callers must NOT close the returned client; use closeClient() on shutdown.
+ * @returns {Promise<Object>} Weaviate client instance
+ */
+export async function getClient() {
+  if (clientPromise) {
+    const client = await clientPromise;
+
+    if (Date.now() - lastHealthCheck < HEALTH_CHECK_INTERVAL_MS) {
+      return client;
+    }
+
+    const healthy = await client.isReady().catch(() => false);
+    if (healthy) {
+      lastHealthCheck = Date.now();
+      return client;
+    }
+
+    console.log('⚠️  Weaviate connection lost, reconnecting...');
+    await closeClient();
+  }
+
+  const pending = connect(loadConnectionConfig());
+  clientPromise = pending;
+  // A failed connection attempt is not cached, the next call retries
+  pending.catch(() => {
+    if (clientPromise === pending) {
+      clientPromise = null;
+    }
+  });
+
+  const client = await pending;
+  lastHealthCheck = Date.now();
+  return client;
+}
+
+/**
+ * Close the shared client (if connected)
+ * The next getClient() call opens a new connection.
+ */
+export async function closeClient() {
+  if (!clientPromise) {
+    return;
+  }
+
+  const pending = clientPromise;
+  clientPromise = null;
+  lastHealthCheck = 0;
+
+  try {
+    const client = await pending;
+    await client.close();
+  } catch {
+    // Connection never opened or already gone, nothing to close
+  }
+}
+
+export default {
+  loadConnectionConfig,
+  describeConnection,
+  getClient,
+  closeClient,
+};
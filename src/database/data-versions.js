@@ -0,0 +1,90 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Data Versions
+ *
+ * A counter per tenant that is incremented whenever the tenant's QACollection
+ * data is changed through this project: ingestion (including seeding),
+ * feedback promotion, tenant deletion and renames. Applying schema
+ * migrations increments a global counter that applies to every tenant.
+ *
+ * Cached answers record the version they were generated with (see
+ * cache/answer-cache.js), so any of these changes drops them. The counters
+ * are kept in RAG_DATA_VERSIONS (default: .data/data-versions.json, relative
+ * paths resolved against the project root so every working directory shares
+ * it):
+ *   { "*": 2, "tenant1": 5 }
+ *
+ * Objects changed directly in Weaviate, or from another machine or checkout,
+ * don't increment a counter; cached answers then expire after RAG_CACHE_TTL.
+ */
+
+export const GLOBAL_KEY = '*';
+
+const PROJECT_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+// Pending write, so concurrent increments don't overwrite each other
+let pendingWrite = Promise.resolve();
+
+/**
+ * Path of the counters file
+ * @returns {string} Absolute path
+ */
+function versionsPath() {
+  return path.resolve(PROJECT_ROOT, getConfig('storage').dataVersions);
+}
+
+/**
+ * Read the counters
+ * @returns {Promise<Object>} Counters by tenant, plus the global one under "*"
+ */
+async function readVersions() {
+  const filePath = versionsPath();
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Could not read data versions ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the data version of a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<string>} Version, "<global>:<tenant>", e.g. "2:5"
+ */
+export async function getDataVersion(tenant) {
+  const versions = await readVersions();
+  return `${versions[GLOBAL_KEY] || 0}:${versions[tenant] || 0}`;
+}
+
+/**
+ * Increment the data version of tenants
+ * @param {string[]} tenants - Tenant names, or ['*'] for every tenant (e.g. after a migration)
+ * @returns {Promise<void>}
+ */
+export async function bumpDataVersion(tenants) {
+  const write = pendingWrite.catch(() => {}).then(async () => {
+    const filePath = versionsPath();
+    const versions = await readVersions();
+    tenants.forEach((tenant) => {
+      versions[tenant] = (versions[tenant] || 0) + 1;
+    });
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(`${filePath}.tmp`, JSON.stringify(versions, null, 2), 'utf8');
+    await rename(`${filePath}.tmp`, filePath);
+  });
+  pendingWrite = write;
+  return write;
+}
+
+export default {
+  GLOBAL_KEY,
+  getDataVersion,
+  bumpDataVersion,
+};
@@ -0,0 +1,443 @@
+import { pathToFileURL } from 'url';
+import weaviate from 'weaviate-client';
+import { getClient, closeClient } from './connection.js';
+import { bumpDataVersion, GLOBAL_KEY } from './data-versions.js';
+
+/**
+ * Schema Migrations
+ *
+ * The QACollection schema is evolved by an ordered list of versioned
+ * migrations. Each migration is a list of declarative, additive steps
+ * (create a collection, add a property) so existing tenant data is never
+ * touched. Applied versions are recorded in the SchemaMigrations collection.
+ *
+ * Steps are checked against the live schema before they run, which makes
+ * migrations safe to re-run and lets a pre-existing QACollection (created
+ * before migrations existed) be adopted as-is.
+ *
+ * Usage:
+ *   npm run migrate              Apply pending migrations
+ *   npm run migrate -- --dry-run Print the planned changes without applying them
+ *   npm run migrate -- status    Show applied and pending versions
+ */
+
+export const QA_COLLECTION = 'QACollection';
+const MIGRATIONS_COLLECTION = 'SchemaMigrations';
+
+/**
+ * Step: create a collection if it does not exist
+ * @param {Object} config - Collection config passed to collections.create
+ * @returns {Object} Migration step
+ */
+function createCollection(config) {
+  return { type: 'createCollection', collection: config.name, config };
+}
+
+/**
+ * Step: add a property to a collection if it is missing
+ * @param {string} collection - Collection name
+ * @param {Object} property - Property config passed to config.addProperty
+ * @returns {Object} Migration step
+ */
+function addProperty(collection, property) {
+  return { type: 'addProperty', collection, property };
+}
+
+/**
+ * Step: add stopwords to the BM25 index of a collection (applied at query
+ * time, so existing objects need no re-indexing)
+ * @param {string} collection - Collection name
+ * @param {string[]} words - Stopwords added to the "en" preset
+ * @returns {Object} Migration step
+ */
+function addStopwords(collection, words) {
+  return { type: 'addStopwords', collection, words };
+}
+
+/**
+ * Ordered list of migrations. Never edit an applied migration, add a new one.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create-qa-collection',
+    steps: [
+      createCollection({
+        name: QA_COLLECTION,
+        description: 'Question and Answer collection with multi-tenancy',
+        multiTenancy: {
+          enabled: true,
+        },
+        properties: [
+          {
+            name: 'fileId',
+            dataType: 'text',
+            description: 'The identifier for each file',
+            indexSearchable: false,  // Not searchable as per requirements
+            indexFilterable: true,    // Can filter by fileId
+            tokenization: 'field',
+          },
+          {
+            name: 'question',
+            dataType: 'text',
+            description: 'The question being asked',
+            indexSearchable: true,    // Searchable
+            tokenization: 'word',
+          },
+          {
+            name: 'answer',
+            dataType: 'text',
+            description: 'The answer to the question',
+            indexSearchable: true,    // Searchable
+            tokenization: 'word',
+          },
+        ],
+        // Bring-your-own vectors: embeddings are computed client-side on insert
+        // so both BM25 and hybrid/vector search are available
+        vectorizers: weaviate.configure.vectorizer.none(),
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'source',
+        dataType: 'text',
+        description: 'Path of the ingested file the entry came from',
+        indexSearchable: false,
+        indexFilterable: true,    // Used to find entries of a file on re-ingestion
+        tokenization: 'field',
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'contentHash',
+        dataType: 'text',
+        description: 'SHA-256 hash of the source file content',
+        indexSearchable: false,
+        indexFilterable: true,
+        tokenization: 'field',
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'chunkIndex',
+        dataType: 'int',
+        description: 'Position of the entry within its source file',
+        indexFilterable: false,
+      }),
+    ],
+  },
+  {
+    version: 2,
+    name: 'add-entry-metadata',
+    steps: [
+      addProperty(QA_COLLECTION, {
+        name: 'tags',
+        dataType: 'text[]',
+        description: 'Free-form tags of the entry',
+        indexSearchable: false,
+        indexFilterable: true,
+        tokenization: 'field',
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'sourceUrl',
+        dataType: 'text',
+        description: 'Original URL of the source document',
+        indexSearchable: false,
+        indexFilterable: false,
+        tokenization: 'field',
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'language',
+        dataType: 'text',
+        description: 'Language code of the entry, e.g. en',
+        indexSearchable: false,
+        indexFilterable: true,
+        tokenization: 'field',
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'createdAt',
+        dataType: 'date',
+        description: 'When the entry was first ingested',
+        indexFilterable: true,
+      }),
+      addProperty(QA_COLLECTION, {
+        name: 'updatedAt',
+        dataType: 'date',
+        description: 'When the entry was last ingested',
+        indexFilterable: true,
+      }),
+    ],
+  },
+  {
+    version: 3,
+    name: 'add-source-type',
+    steps: [
+      addProperty(QA_COLLECTION, {
+        name: 'sourceType',
+        dataType: 'text',
+        description: 'Format of the source document, e.g. markdown, csv, pdf-text',
+        indexSearchable: false,
+        indexFilterable: true,
+        tokenization: 'field',
+      }),
+    ],
+  },
+  {
+    version: 4,
+    name: 'question-word-stopwords',
+    steps: [
+      // Matches the in-memory BM25 index (retrieval/bm25.js)
+      addStopwords(QA_COLLECTION, ['what', 'how', 'which', 'who', 'when', 'where', 'why']),
+    ],
+  },
+];
+
+/**
+ * Latest schema version known to this code base
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Make sure the bookkeeping collection exists
+ * @param {Object} client - Weaviate client
+ */
+async function ensureMigrationsCollection(client) {
+  if (await client.collections.exists(MIGRATIONS_COLLECTION)) {
+    return;
+  }
+
+  await client.collections.create({
+    name: MIGRATIONS_COLLECTION,
+    description: 'Applied schema migrations',
+    properties: [
+      { name: 'version', dataType: 'int' },
+      { name: 'name', dataType: 'text', tokenization: 'field' },
+      { name: 'appliedAt', dataType: 'date' },
+    ],
+    vectorizers: weaviate.configure.vectorizer.none(),
+  });
+}
+
+/**
+ * Read the applied migration versions
+ * @param {Object} client - Weaviate client
+ * @returns {Promise<Array>} Applied migrations sorted by version: [{ version, name, appliedAt }]
+ */
+async function getAppliedMigrations(client) {
+  if (!(await client.collections.exists(MIGRATIONS_COLLECTION))) {
+    return [];
+  }
+
+  const result = await client.collections.get(MIGRATIONS_COLLECTION).query.fetchObjects({
+    limit: 1000,
+    returnProperties: ['version', 'name', 'appliedAt'],
+  });
+
+  return result.objects
+    .map(obj => obj.properties)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Load the current state of the collections touched by the migrations
+ * @param {Object} client - Weaviate client
+ * @returns {Promise<Map>} collection name → Set of property names (missing collections are absent)
+ */
+async function loadSchemaState(client) {
+  const state = new Map();
+  const names = new Set(MIGRATIONS.flatMap(m => m.steps.map(step => step.collection)));
+
+  for (const name of names) {
+    if (await client.collections.exists(name)) {
+      const config = await client.collections.get(name).config.get();
+      state.set(name, new Set(config.properties.map(property => property.name)));
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Work out which steps of the pending migrations still have to run
+ * The schema state is updated as steps are planned, so later steps see the
+ * effect of earlier ones (this keeps dry-run output accurate).
+ * @param {Array} pending - Pending migrations
+ * @param {Map} state - Schema state from loadSchemaState
+ * @returns {Array} [{ version, name, actions: [{ step, description }] }]
+ */
+function planMigrations(pending, state) {
+  return pending.map((migration) => {
+    const actions = [];
+
+    for (const step of migration.steps) {
+      if (step.type === 'createCollection') {
+        if (state.has(step.collection)) {
+          continue;
+        }
+        state.set(step.collection, new Set(step.config.properties.map(property => property.name)));
+        actions.push({ step, description: `create collection ${step.collection}` });
+      } else if (step.type === 'addProperty') {
+        const properties = state.get(step.collection);
+        if (!properties) {
+          throw new Error(`Migration ${migration.version}: collection ${step.collection} does not exist`);
+        }
+        if (properties.has(step.property.name)) {
+          continue;
+        }
+        properties.add(step.property.name);
+        actions.push({
+          step,
+          description: `add property ${step.collection}.${step.property.name} (${step.property.dataType})`,
+        });
+      } else if (step.type === 'addStopwords') {
+        if (!state.has(step.collection)) {
+          throw new Error(`Migration ${migration.version}: collection ${step.collection} does not exist`);
+        }
+        actions.push({ step, description: `add stopwords to ${step.collection}: ${step.words.join(', ')}` });
+      }
+    }
+
+    return { version: migration.version, name: migration.name, actions };
+  });
+}
+
+/**
+ * Execute a single migration step
+ * @param {Object} client - Weaviate client
+ * @param {Object} step - Migration step
+ */
+async function runStep(client, step) {
+  if (step.type === 'createCollection') {
+    await client.collections.create(step.config);
+  } else if (step.type === 'addProperty') {
+    await client.collections.get(step.collection).config.addProperty(step.property);
+  } else if (step.type === 'addStopwords') {
+    await client.collections.get(step.collection).config.update({
+      invertedIndex: weaviate.reconfigure.invertedIndex({ stopwordsAdditions: step.words }),
+    });
+  }
+}
+
+/**
+ * Get the schema version status
+ * @returns {Promise<Object>} { currentVersion, latestVersion, applied, pending }
+ */
+export async function getMigrationStatus() {
+  const client = await getClient();
+  const applied = await getAppliedMigrations(client);
+  const appliedVersions = new Set(applied.map(m => m.version));
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: LATEST_VERSION,
+    applied,
+    pending: MIGRATIONS
+      .filter(m => !appliedVersions.has(m.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only plan, do not change anything (default: false)
+ * @returns {Promise<Object>} { dryRun, fromVersion, toVersion, plan }
+ */
+export async function migrate(options = {}) {
+  const { dryRun = false } = options;
+  const client = await getClient();
+
+  const applied = await getAppliedMigrations(client);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const fromVersion = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  const pending = MIGRATIONS.filter(m => !appliedVersions.has(m.version));
+
+  const plan = planMigrations(pending, await loadSchemaState(client));
+
+  if (!dryRun && plan.length > 0) {
+    await ensureMigrationsCollection(client);
+    const migrationsCollection = client.collections.get(MIGRATIONS_COLLECTION);
+
+    for (const migration of plan) {
+      for (const action of migration.actions) {
+        await runStep(client, action.step);
+      }
+      await migrationsCollection.data.insert({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date(),
+      });
+    }
+    // Cached answers of every tenant may depend on the old schema
+    await bumpDataVersion([GLOBAL_KEY]);
+  }
+
+  return {
+    dryRun,
+    fromVersion,
+    toVersion: plan.length > 0 ? plan[plan.length - 1].version : fromVersion,
+    plan: plan.map(({ version, name, actions }) => ({
+      version,
+      name,
+      actions: actions.map(action => action.description),
+    })),
+  };
+}
+
+/**
+ * Print a migration result
+ * @param {Object} result - Result of migrate()
+ */
+export function printMigrationResult(result) {
+  if (result.plan.length === 0) {
+    console.log(`✅ Schema is up to date (version ${result.fromVersion})`);
+    return;
+  }
+
+  const verb = result.dryRun ? 'Planned' : 'Applied';
+  console.log(`🔧 ${verb} migrations (version ${result.fromVersion} → ${result.toVersion}):`);
+  result.plan.forEach((migration) => {
+    console.log(`\n  v${migration.version} ${migration.name}`);
+    if (migration.actions.length === 0) {
+      console.log('    - nothing to change, already present (version will be recorded)');
+    }
+    migration.actions.forEach(action => console.log(`    - ${action}`));
+  });
+
+  if (result.dryRun) {
+    console.log('\n💡 Dry run: nothing was changed. Re-run without --dry-run to apply.');
+  } else {
+    console.log('\n✅ Migrations applied successfully!');
+  }
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  try {
+    if (args.includes('status')) {
+      const status = await getMigrationStatus();
+      console.log(`📊 Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+      status.applied.forEach(m => console.log(`  ✅ v${m.version} ${m.name} (${new Date(m.appliedAt).toISOString()})`));
+      status.pending.forEach(m => console.log(`  ⏳ v${m.version} ${m.name}`));
+    } else {
+      printMigrationResult(await migrate({ dryRun: args.includes('--dry-run') }));
+    }
+    await closeClient();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await closeClient();
+    process.exit(1);
+  }
+}
+
+export default {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getMigrationStatus,
+  migrate,
+  printMigrationResult,
+};
+
+// Run if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
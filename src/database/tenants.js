@@ -0,0 +1,400 @@
+import { access, mkdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getClient, closeClient } from './connection.js';
+import { bumpDataVersion } from './data-versions.js';
+import { getConfig } from '../config/config.js';
+import { listSessions, saveSession } from '../memory/sessions.js';
+
+/**
+ * Tenant Lifecycle Management for QACollection
+ *
+ * Every tenant is an isolated shard of QACollection. Tenants can be
+ * created, listed, renamed, deactivated/offloaded, re-activated and deleted.
+ *
+ * Activity status:
+ * - ACTIVE     - loaded and queryable
+ * - INACTIVE   - stored on local disk, not queryable until activated
+ * - OFFLOADED  - moved to cloud storage (requires the offload module), not queryable
+ */
+
+const COLLECTION_NAME = 'QACollection';
+
+// Weaviate tenant name rules
+const TENANT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate a tenant name
+ * @param {string} name - Tenant name
+ * @throws {Error} If the name is not a valid Weaviate tenant name
+ */
+export function validateTenantName(name) {
+  if (typeof name !== 'string' || !TENANT_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid tenant name "${name}". Use 1-64 letters, digits, "-" or "_"`
+    );
+  }
+}
+
+/**
+ * Run a callback with the QACollection handle of the shared client
+ * @param {Function} callback - (collection) => Promise
+ * @returns {Promise<*>} The callback's result
+ */
+async function withCollection(callback) {
+  const client = await getClient();
+  return callback(client.collections.get(COLLECTION_NAME));
+}
+
+/**
+ * Get a tenant by name
+ * @param {string} name - Tenant name
+ * @returns {Promise<Object|null>} { name, activityStatus } or null if it does not exist
+ */
+export async function getTenant(name) {
+  return withCollection(async (collection) => {
+    const tenant = await collection.tenants.getByName(name);
+    return tenant ? { name: tenant.name, activityStatus: tenant.activityStatus } : null;
+  });
+}
+
+/**
+ * List all tenants of QACollection
+ * @returns {Promise<Array>} Tenants sorted by name: [{ name, activityStatus }]
+ */
+export async function listTenants() {
+  return withCollection(async (collection) => {
+    const tenants = await collection.tenants.get();
+    return Object.values(tenants)
+      .map(tenant => ({ name: tenant.name, activityStatus: tenant.activityStatus }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  });
+}
+
+/**
+ * Create a tenant
+ * @param {string} name - Tenant name
+ * @param {Object} options - Creation options
+ * @param {boolean} options.ifNotExists - Do nothing when the tenant already exists (default: false)
+ * @returns {Promise<Object>} { name, activityStatus, created }
+ */
+export async function createTenant(name, options = {}) {
+  const { ifNotExists = false } = options;
+  validateTenantName(name);
+
+  return withCollection(async (collection) => {
+    const existing = await collection.tenants.getByName(name);
+    if (existing) {
+      if (ifNotExists) {
+        return { name, activityStatus: existing.activityStatus, created: false };
+      }
+      throw new Error(`Tenant "${name}" already exists`);
+    }
+
+    await collection.tenants.create({ name });
+    return { name, activityStatus: 'ACTIVE', created: true };
+  });
+}
+
+/**
+ * Change the activity status of a tenant
+ * @param {string} name - Tenant name
+ * @param {string} activityStatus - 'ACTIVE', 'INACTIVE' or 'OFFLOADED'
+ * @returns {Promise<Object>} { name, activityStatus }
+ */
+async function setActivityStatus(name, activityStatus) {
+  return withCollection(async (collection) => {
+    const existing = await collection.tenants.getByName(name);
+    if (!existing) {
+      throw new Error(`Tenant "${name}" does not exist`);
+    }
+
+    await collection.tenants.update({ name, activityStatus });
+    return { name, activityStatus };
+  });
+}
+
+/**
+ * Activate a tenant so it can be queried again
+ * @param {string} name - Tenant name
+ * @returns {Promise<Object>} { name, activityStatus }
+ */
+export async function activateTenant(name) {
+  return setActivityStatus(name, 'ACTIVE');
+}
+
+/**
+ * Deactivate a tenant (data kept on disk, not queryable)
+ * @param {string} name - Tenant name
+ * @returns {Promise<Object>} { name, activityStatus }
+ */
+export async function deactivateTenant(name) {
+  return setActivityStatus(name, 'INACTIVE');
+}
+
+/**
+ * Offload a tenant to cloud storage
+ * Requires Weaviate to be configured with an offload module (e.g. offload-s3)
+ * @param {string} name - Tenant name
+ * @returns {Promise<Object>} { name, activityStatus }
+ */
+export async function offloadTenant(name) {
+  return setActivityStatus(name, 'OFFLOADED');
+}
+
+/**
+ * Delete a tenant and all of its data
+ * @param {string} name - Tenant name
+ */
+export async function deleteTenant(name) {
+  return withCollection(async (collection) => {
+    const existing = await collection.tenants.getByName(name);
+    if (!existing) {
+      throw new Error(`Tenant "${name}" does not exist`);
+    }
+
+    await collection.tenants.remove(name);
+    await bumpDataVersion([name]);
+  });
+}
+
+/**
+ * Get the files a tenant keeps outside Weaviate
+ * @param {string} tenant - Tenant name
+ * @returns {Object} { feedback, usage, prompts }: feedback and usage files, prompt override directory
+ */
+function tenantDataPaths(tenant) {
+  const storage = getConfig('storage');
+  return {
+    feedback: path.join(storage.feedbackDir, `${tenant}.json`),
+    usage: path.join(getConfig('usage').dir, `${tenant}.json`),
+    prompts: path.join(storage.promptOverrides, tenant),
+  };
+}
+
+/**
+ * Check whether a file or directory exists
+ * @param {string} filePath - Path
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Move a tenant's feedback, usage totals and prompt overrides to a new name,
+ * and point its saved CLI sessions at the new name
+ * @param {string} oldName - Current tenant name
+ * @param {string} newName - New tenant name
+ * @returns {Promise<Object>} { moved: paths moved, sessions: number of sessions updated }
+ */
+async function moveTenantData(oldName, newName) {
+  const from = tenantDataPaths(oldName);
+  const to = tenantDataPaths(newName);
+  const moved = [];
+
+  for (const key of Object.keys(from)) {
+    if (!await exists(from[key])) {
+      continue;
+    }
+    await mkdir(path.dirname(to[key]), { recursive: true });
+    if (key === 'feedback') {
+      // Feedback entries record their tenant
+      const entries = JSON.parse(await readFile(from[key], 'utf8'));
+      entries.forEach((entry) => {
+        entry.tenant = newName;
+      });
+      await writeFile(to[key], JSON.stringify(entries, null, 2), 'utf8');
+      await unlink(from[key]);
+    } else {
+      await rename(from[key], to[key]);
+    }
+    moved.push(to[key]);
+  }
+
+  const sessions = (await listSessions()).filter(session => session.tenant === oldName);
+  for (const session of sessions) {
+    session.tenant = newName;
+    await saveSession(session);
+  }
+
+  return { moved, sessions: sessions.length };
+}
+
+/**
+ * Rename a tenant
+ * Weaviate cannot rename tenants in place, so the objects (with their vectors)
+ * are copied into a new tenant and the old tenant is deleted afterwards. The
+ * tenant's feedback, usage totals, prompt overrides and CLI sessions are moved
+ * to the new name too. The rename is refused if the new name already has any
+ * of these files (e.g. left over from a deleted tenant).
+ * @param {string} oldName - Current tenant name
+ * @param {string} newName - New tenant name
+ * @param {Object} options - Rename options
+ * @param {number} options.batchSize - Objects per insert batch (default: 100)
+ * @returns {Promise<Object>} { name, copied, moved, sessions }: moved being the tenant files at their new path
+ */
+export async function renameTenant(oldName, newName, options = {}) {
+  const { batchSize = 100 } = options;
+  validateTenantName(newName);
+
+  return withCollection(async (collection) => {
+    const source = await collection.tenants.getByName(oldName);
+    if (!source) {
+      throw new Error(`Tenant "${oldName}" does not exist`);
+    }
+    if (source.activityStatus !== 'ACTIVE') {
+      throw new Error(`Tenant "${oldName}" is ${source.activityStatus}; activate it before renaming`);
+    }
+    if (await collection.tenants.getByName(newName)) {
+      throw new Error(`Tenant "${newName}" already exists`);
+    }
+    for (const filePath of Object.values(tenantDataPaths(newName))) {
+      if (await exists(filePath)) {
+        throw new Error(`${filePath} already exists; move or delete it before renaming to "${newName}"`);
+      }
+    }
+
+    await collection.tenants.create({ name: newName });
+
+    const from = collection.withTenant(oldName);
+    const to = collection.withTenant(newName);
+    let copied = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const result = await to.data.insertMany(batch);
+      if (result.hasErrors) {
+        const messages = Object.values(result.errors).map(error => error.message);
+        throw new Error(`Copy failed for ${messages.length} objects: ${messages[0]}`);
+      }
+      copied += batch.length;
+      batch = [];
+    };
+
+    try {
+      for await (const obj of from.iterator({ includeVector: true })) {
+        batch.push({
+          id: obj.uuid,
+          properties: obj.properties,
+          vectors: obj.vectors?.default,
+        });
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      }
+      if (batch.length > 0) {
+        await flush();
+      }
+    } catch (error) {
+      // Leave the original tenant untouched if copying fails
+      await collection.tenants.remove(newName);
+      throw error;
+    }
+
+    await collection.tenants.remove(oldName);
+    await bumpDataVersion([oldName, newName]);
+
+    try {
+      return { name: newName, copied, ...await moveTenantData(oldName, newName) };
+    } catch (error) {
+      throw new Error(`Renamed "${oldName}" in Weaviate, but moving its local data failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+  console.log('Usage: npm run tenants -- <command> [args]\n');
+  console.log('Commands:');
+  console.log('  list                     List tenants and their status');
+  console.log('  create <name>            Create a tenant');
+  console.log('  rename <old> <new>       Rename a tenant (copies its data, moves its feedback, usage and prompts)');
+  console.log('  activate <name>          Make a tenant queryable again');
+  console.log('  deactivate <name>        Deactivate a tenant (keeps data on disk)');
+  console.log('  offload <name>           Offload a tenant to cloud storage');
+  console.log('  delete <name> --yes      Delete a tenant and all of its data\n');
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'list': {
+        const tenants = await listTenants();
+        if (tenants.length === 0) {
+          console.log('No tenants found.');
+        }
+        tenants.forEach(tenant => console.log(`  ${tenant.name.padEnd(30)} ${tenant.activityStatus}`));
+        break;
+      }
+      case 'create':
+        await createTenant(args[0]);
+        console.log(`✅ Created tenant: ${args[0]}`);
+        break;
+      case 'rename': {
+        const result = await renameTenant(args[0], args[1]);
+        console.log(`✅ Renamed ${args[0]} → ${args[1]} (${result.copied} objects copied, ${result.sessions} session(s) updated)`);
+        result.moved.forEach(filePath => console.log(`   Moved ${filePath}`));
+        break;
+      }
+      case 'activate':
+        await activateTenant(args[0]);
+        console.log(`✅ Activated tenant: ${args[0]}`);
+        break;
+      case 'deactivate':
+        await deactivateTenant(args[0]);
+        console.log(`✅ Deactivated tenant: ${args[0]}`);
+        break;
+      case 'offload':
+        await offloadTenant(args[0]);
+        console.log(`✅ Offloading tenant: ${args[0]}`);
+        break;
+      case 'delete':
+        if (!args.includes('--yes')) {
+          console.log(`⚠️  This deletes tenant "${args[0]}" and all of its data. Re-run with --yes to confirm.`);
+          process.exit(1);
+        }
+        await deleteTenant(args[0]);
+        console.log(`✅ Deleted tenant: ${args[0]}`);
+        break;
+      default:
+        printUsage();
+        process.exit(command ? 1 : 0);
+    }
+    await closeClient();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Tenant command failed:', error.message);
+    await closeClient();
+    process.exit(1);
+  }
+}
+
+export default {
+  validateTenantName,
+  getTenant,
+  listTenants,
+  createTenant,
+  activateTenant,
+  deactivateTenant,
+  offloadTenant,
+  deleteTenant,
+  renameTenant,
+};
+
+// Run if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -1,149 +1,52 @@
-import weaviate from 'weaviate-client';
+import { getClient, closeClient } from './connection.js';
+import { migrate, printMigrationResult } from './migrations.js';
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { embedQuery } from '../llm/embeddings.js';
+import { ingestDocuments } from '../ingest/ingest.js';
 
 /**
- * Get Weaviate client connection
- * @returns {Promise} Weaviate client instance
+ * Create or upgrade the QACollection schema with multi-tenancy
+ * Applies pending migrations; existing data is never deleted
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only print the planned changes
  */
-export async function getClient() {
-  const client = await weaviate.connectToLocal({
-    host: 'localhost',
-    port: 8080,
-  });
-  return client;
-}
-
-/**
- * Create the QACollection schema with multi-tenancy
- */
-async function createSchema() {
-  const client = await getClient();
-  
+async function createSchema(options = {}) {
   try {
-    console.log('🔧 Creating QACollection schema...');
-    
-    // Check if collection already exists
-    const exists = await client.collections.exists('QACollection');
-    
-    if (exists) {
-      console.log('⚠️  QACollection already exists. Deleting it first...');
-      await client.collections.delete('QACollection');
-    }
-    
-    // Create collection with multi-tenancy enabled
-    await client.collections.create({
-      name: 'QACollection',
-      description: 'Question and Answer collection with multi-tenancy',
-      multiTenancy: {
-        enabled: true,
-      },
-      properties: [
-        {
-          name: 'fileId',
-          dataType: 'text',
-          description: 'The identifier for each file',
-          indexSearchable: false,  // Not searchable as per requirements
-          indexFilterable: true,    // Can filter by fileId
-          tokenization: 'field',
-        },
-        {
-          name: 'question',
-          dataType: 'text',
-          description: 'The question being asked',
-          indexSearchable: true,    // Searchable
-          tokenization: 'word',
-        },
-        {
-          name: 'answer',
-          dataType: 'text',
-          description: 'The answer to the question',
-          indexSearchable: true,    // Searchable
-          tokenization: 'word',
-        },
-      ],
-      // No vectorizer - using text-based search
-      vectorizers: [],
-    });
+    console.log('🔧 Migrating QACollection schema...');
     
-    console.log('✅ QACollection schema created successfully!');
+    const result = await migrate(options);
+    printMigrationResult(result);
     
   } catch (error) {
-    console.error('❌ Error creating schema:', error);
+    console.error('❌ Error migrating schema:', error);
     throw error;
-  } finally {
-    await client.close();
   }
 }
 
+// Seed files, one JSONL file per tenant (file name = tenant name)
+const SEED_DIR = fileURLToPath(new URL('../../data/seed/', import.meta.url));
+
 /**
- * Insert fictional Q&A data across multiple tenants
+ * Insert the fictional seed Q&A data across multiple tenants
+ * Runs each data/seed/<tenant>.jsonl file through the ingestion pipeline,
+ * so re-seeding skips files that did not change
  */
 async function insertData() {
-  const client = await getClient();
-  
   try {
     console.log('📝 Inserting fictional Q&A data...');
     
-    const collection = client.collections.get('QACollection');
-    
-    // Create 3 tenants
-    const tenants = ['tenant1', 'tenant2', 'tenant3'];
-    
-    for (const tenant of tenants) {
-      await collection.tenants.create({ name: tenant });
-      console.log(`✅ Created tenant: ${tenant}`);
-    }
-    
-    // Fictional Q&A entries (5 total across 3 tenants)
-    const qaEntries = [
-      {
-        tenant: 'tenant1',
-        data: {
-          fileId: 'FILE-001',
-          question: 'What is the capital of France?',
-          answer: 'The capital of France is Paris, which is also the largest city in the country.'
-        }
-      },
-      {
-        tenant: 'tenant1',
-        data: {
-          fileId: 'FILE-002',
-          question: 'How does photosynthesis work?',
-          answer: 'Photosynthesis is the process by which plants use sunlight, water, and carbon dioxide to create oxygen and energy in the form of sugar.'
-        }
-      },
-      {
-        tenant: 'tenant2',
-        data: {
-          fileId: 'FILE-003',
-          question: 'What is the speed of light?',
-          answer: 'The speed of light in a vacuum is approximately 299,792,458 meters per second (or about 186,282 miles per second).'
-        }
-      },
-      {
-        tenant: 'tenant2',
-        data: {
-          fileId: 'FILE-004',
-          question: 'Who wrote Romeo and Juliet?',
-          answer: 'Romeo and Juliet was written by William Shakespeare, one of the most famous playwrights in history.'
-        }
-      },
-      {
-        tenant: 'tenant3',
-        data: {
-          fileId: 'FILE-005',
-          question: 'What is artificial intelligence?',
-          answer: 'Artificial Intelligence (AI) is the simulation of human intelligence processes by machines, especially computer systems, including learning, reasoning, and self-correction.'
-        }
-      }
-    ];
+    const seedFiles = (await readdir(SEED_DIR)).filter(file => file.endsWith('.jsonl')).sort();
     
-    // Insert data for each tenant
-    for (const entry of qaEntries) {
-      const tenantCollection = collection.withTenant(entry.tenant);
-      
-      await tenantCollection.data.insert(entry.data);
+    for (const file of seedFiles) {
+      const tenant = path.basename(file, '.jsonl');
+      const summary = await ingestDocuments([path.join(SEED_DIR, file)], { tenant });
       
-      console.log(`✅ Inserted data into ${entry.tenant}: ${entry.data.fileId}`);
+      if (summary.failed > 0) {
+        throw new Error(`Failed to ingest seed file ${file}`);
+      }
+      console.log(`✅ Inserted ${summary.entries} entries into ${tenant}`);
     }
     
     console.log('\n✅ All fictional data inserted successfully!');
@@ -151,38 +54,50 @@ async function insertData() {
   } catch (error) {
     console.error('❌ Error inserting data:', error);
     throw error;
-  } finally {
-    await client.close();
   }
 }
 
 /**
- * Query data using BM25 search (text-based search)
+ * Query data using BM25, vector or hybrid search
  * @param {string} query - Search query
  * @param {string} tenant - Tenant name
  * @param {number} limit - Maximum results to return
+ * @param {Object} options - Search options
+ * @param {string} options.mode - 'bm25', 'vector' or 'hybrid' (default: 'bm25')
+ * @param {number} options.alpha - Hybrid weight, 0 = pure BM25, 1 = pure vector (default: 0.5)
  * @returns {Promise<Array>} Array of retrieved objects
  */
-export async function queryData(query, tenant = 'tenant1', limit = 5) {
+export async function queryData(query, tenant = 'tenant1', limit = 5, options = {}) {
+  const { mode = 'bm25', alpha = 0.5 } = options;
   const client = await getClient();
   
   try {
     const collection = client.collections.get('QACollection');
     const tenantCollection = collection.withTenant(tenant);
-    
-    // Use BM25 search (keyword search without embeddings)
-    const result = await tenantCollection.query.bm25(query, {
+    const searchOptions = {
       limit,
       returnProperties: ['fileId', 'question', 'answer'],
-    });
+    };
+    
+    let result;
+    if (mode === 'vector') {
+      result = await tenantCollection.query.nearVector(await embedQuery(query), searchOptions);
+    } else if (mode === 'hybrid') {
+      result = await tenantCollection.query.hybrid(query, {
+        ...searchOptions,
+        vector: await embedQuery(query),
+        alpha,
+      });
+    } else {
+      // Use BM25 search (keyword search without embeddings)
+      result = await tenantCollection.query.bm25(query, searchOptions);
+    }
     
     return result.objects;
     
   } catch (error) {
     console.error('❌ Error querying data:', error);
     throw error;
-  } finally {
-    await client.close();
   }
 }
 
@@ -208,8 +123,6 @@ export async function fetchAllObjects(tenant = 'tenant1') {
   } catch (error) {
     console.error('❌ Error fetching objects:', error);
     throw error;
-  } finally {
-    await client.close();
   }
 }
 
@@ -230,6 +143,15 @@ async function testSetup() {
       console.log(`  Answer: ${obj.properties.answer.substring(0, 80)}...`);
     });
     
+    // Test hybrid search with a paraphrased question
+    console.log('\n\nTesting hybrid search for "Which city governs France?" in tenant1:');
+    const hybridResults = await queryData('Which city governs France?', 'tenant1', 5, { mode: 'hybrid' });
+    hybridResults.forEach((obj, idx) => {
+      console.log(`\nResult ${idx + 1}:`);
+      console.log(`  FileID: ${obj.properties.fileId}`);
+      console.log(`  Question: ${obj.properties.question}`);
+    });
+    
     // Test fetch all objects
     console.log('\n\nFetching all objects from tenant2:');
     const allObjects = await fetchAllObjects('tenant2');
@@ -249,17 +171,36 @@ async function testSetup() {
 
 /**
  * Main execution
+ *
+ * Usage: node src/database/weaviate-setup.js [--dry-run] [--seed]
+ *   --dry-run  Print the planned schema changes without applying them
+ *   --seed     Also insert the fictional seed data (opt-in)
  */
 async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const seed = args.includes('--seed');
+  
   try {
-    await createSchema();
-    await insertData();
-    await testSetup();
+    await createSchema({ dryRun });
+    
+    if (dryRun) {
+      return;
+    }
+    
+    if (seed) {
+      await insertData();
+      await testSetup();
+    } else {
+      console.log('\n💡 Seed data not inserted. Run `npm run seed` to add the fictional Q&A entries.');
+    }
     
     console.log('\n🎉 Weaviate setup completed successfully!\n');
   } catch (error) {
     console.error('❌ Setup failed:', error);
     process.exit(1);
+  } finally {
+    await closeClient();
   }
 }
 
@@ -0,0 +1,226 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { validateTenantName } from '../database/tenants.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Answer Feedback Store
+ *
+ * Feedback on answers is kept per tenant in RAG_FEEDBACK_DIR (default:
+ * .data/feedback), one JSON file per tenant. An entry:
+ * {
+ *   id, tenant, query, condensedQuery, answer, fileIds,  // the response
+ *   rating: 'up' | 'down',
+ *   correction,          // corrected answer text ('' if none)
+ *   usefulReferences,    // fileIds of the references that helped
+ *   status: 'pending' | 'promoted' | 'rejected',
+ *   promotedFileId, reviewNote, createdAt, reviewedAt
+ * }
+ *
+ * Entries with a correction wait for review (see feedback/review.js), where
+ * they are promoted into QACollection or rejected.
+ */
+
+export const RATINGS = ['up', 'down'];
+export const FEEDBACK_STATUSES = ['pending', 'promoted', 'rejected'];
+export const EXPORT_FORMATS = ['jsonl', 'csv'];
+
+/**
+ * Get the feedback file of a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {string} File path
+ */
+function feedbackPath(tenant) {
+  validateTenantName(tenant);
+  return path.join(getConfig('storage').feedbackDir, `${tenant}.json`);
+}
+
+/**
+ * Read all feedback of a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function readEntries(tenant) {
+  try {
+    return JSON.parse(await readFile(feedbackPath(tenant), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new Error(`Could not read feedback of tenant "${tenant}": ${error.message}`);
+  }
+}
+
+/**
+ * Write all feedback of a tenant (atomic via a temp file)
+ * @param {string} tenant - Tenant name
+ * @param {Array} entries - Entries
+ */
+async function writeEntries(tenant, entries) {
+  const filePath = feedbackPath(tenant);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(`${filePath}.tmp`, JSON.stringify(entries, null, 2), 'utf8');
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Record feedback on a response
+ * @param {string} tenant - Tenant the response came from
+ * @param {Object} feedback - Feedback
+ * @param {string} feedback.query - Question as asked
+ * @param {string} feedback.condensedQuery - Standalone rewrite of the question, if any
+ * @param {string} feedback.answer - Answer that was given
+ * @param {string[]} feedback.fileIds - File IDs the answer cited
+ * @param {string} feedback.rating - 'up' or 'down'
+ * @param {string} feedback.correction - Corrected answer
+ * @param {string[]} feedback.usefulReferences - File IDs (of fileIds) that were useful
+ * @returns {Promise<Object>} Stored entry
+ * @throws {Error} If the rating is invalid, the query is missing or a useful reference was not cited
+ */
+export async function recordFeedback(tenant, feedback) {
+  const {
+    query,
+    condensedQuery = null,
+    answer = '',
+    fileIds = [],
+    rating,
+    correction = '',
+    usefulReferences = [],
+  } = feedback;
+
+  if (!query) {
+    throw new Error('Feedback needs the query it is about');
+  }
+  if (!RATINGS.includes(rating)) {
+    throw new Error(`Invalid rating "${rating}". Use one of: ${RATINGS.join(', ')}`);
+  }
+  const unknown = usefulReferences.filter(fileId => !fileIds.includes(fileId));
+  if (unknown.length > 0) {
+    throw new Error(`Not a reference of this answer: ${unknown.join(', ')}`);
+  }
+
+  const entry = {
+    id: randomUUID().slice(0, 8),
+    tenant,
+    query,
+    condensedQuery,
+    answer,
+    fileIds,
+    rating,
+    correction: correction.trim(),
+    usefulReferences,
+    status: 'pending',
+    promotedFileId: null,
+    reviewNote: '',
+    createdAt: new Date().toISOString(),
+    reviewedAt: null,
+  };
+
+  const entries = await readEntries(tenant);
+  entries.push(entry);
+  await writeEntries(tenant, entries);
+  return entry;
+}
+
+/**
+ * List feedback of a tenant
+ * @param {string} tenant - Tenant name
+ * @param {Object} options - List options
+ * @param {string} options.status - Only entries with this status
+ * @param {boolean} options.corrected - Only entries with a correction
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+export async function listFeedback(tenant, options = {}) {
+  const { status, corrected = false } = options;
+  if (status && !FEEDBACK_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}". Use one of: ${FEEDBACK_STATUSES.join(', ')}`);
+  }
+
+  return (await readEntries(tenant))
+    .filter(entry => !status || entry.status === status)
+    .filter(entry => !corrected || entry.correction);
+}
+
+/**
+ * Get one feedback entry
+ * @param {string} tenant - Tenant name
+ * @param {string} id - Feedback ID
+ * @returns {Promise<Object>} Entry
+ * @throws {Error} If there is no such entry
+ */
+export async function getFeedback(tenant, id) {
+  const entry = (await readEntries(tenant)).find(item => item.id === id);
+  if (!entry) {
+    throw new Error(`Unknown feedback "${id}" in tenant "${tenant}"`);
+  }
+  return entry;
+}
+
+/**
+ * Update a feedback entry
+ * @param {string} tenant - Tenant name
+ * @param {string} id - Feedback ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateFeedback(tenant, id, changes) {
+  const entries = await readEntries(tenant);
+  const idx = entries.findIndex(item => item.id === id);
+  if (idx === -1) {
+    throw new Error(`Unknown feedback "${id}" in tenant "${tenant}"`);
+  }
+
+  entries[idx] = { ...entries[idx], ...changes };
+  await writeEntries(tenant, entries);
+  return entries[idx];
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Value (arrays are joined with ';')
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export feedback of a tenant
+ * @param {string} tenant - Tenant name
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'jsonl' or 'csv' (default: jsonl)
+ * @param {string} options.status - Only entries with this status
+ * @returns {Promise<string>} Exported text
+ */
+export async function exportFeedback(tenant, options = {}) {
+  const { format = 'jsonl' } = options;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const entries = await listFeedback(tenant, options);
+
+  if (format === 'jsonl') {
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+  }
+
+  const columns = [
+    'id', 'tenant', 'query', 'condensedQuery', 'answer', 'fileIds', 'rating', 'correction',
+    'usefulReferences', 'status', 'promotedFileId', 'reviewNote', 'createdAt', 'reviewedAt',
+  ];
+  return [columns.join(','), ...entries.map(entry => columns.map(column => csvField(entry[column])).join(','))]
+    .join('\n') + '\n';
+}
+
+export default {
+  RATINGS,
+  FEEDBACK_STATUSES,
+  EXPORT_FORMATS,
+  recordFeedback,
+  listFeedback,
+  getFeedback,
+  updateFeedback,
+  exportFeedback,
+};
@@ -0,0 +1,252 @@
+import { createHash } from 'crypto';
+import { writeFile } from 'fs/promises';
+import { pathToFileURL } from 'url';
+import { getClient, closeClient } from '../database/connection.js';
+import { QA_COLLECTION } from '../database/migrations.js';
+import { insertEntries } from '../ingest/ingest.js';
+import { bumpDataVersion } from '../database/data-versions.js';
+import {
+  FEEDBACK_STATUSES,
+  listFeedback,
+  getFeedback,
+  updateFeedback,
+  exportFeedback,
+} from './feedback-store.js';
+
+/**
+ * Feedback Review
+ *
+ * Corrected answers are reviewed before they reach the knowledge base:
+ * - promote: the correction becomes a new Q&A entry in the tenant's
+ *   QACollection, with a generated fileId (FB-xxxxxxxx) and sourceType 'feedback'
+ * - reject:  the entry is closed without changing the knowledge base
+ *
+ * CLI: npm run feedback -- <list|show|export|promote|reject> <tenant> ...
+ */
+
+/**
+ * Build the fileId of a promoted feedback entry
+ * @param {string} tenant - Tenant name
+ * @param {string} feedbackId - Feedback ID
+ * @returns {string} fileId, e.g. FB-1A2B3C4D
+ */
+export function buildFeedbackFileId(tenant, feedbackId) {
+  const hash = createHash('sha1').update(`${tenant}:${feedbackId}`).digest('hex').slice(0, 8).toUpperCase();
+  return `FB-${hash}`;
+}
+
+/**
+ * Build the QACollection entry for a feedback entry
+ * @param {Object} feedback - Feedback entry
+ * @param {Object} overrides - { question, answer } to use instead of the query and correction
+ * @returns {Object} Q&A entry
+ */
+export function buildFeedbackEntry(feedback, overrides = {}) {
+  const question = overrides.question || feedback.condensedQuery || feedback.query;
+  const answer = overrides.answer || feedback.correction;
+  const now = new Date();
+
+  return {
+    fileId: buildFeedbackFileId(feedback.tenant, feedback.id),
+    question,
+    answer,
+    source: `feedback:${feedback.id}`,
+    sourceType: 'feedback',
+    contentHash: createHash('sha256').update(`${question}\n${answer}`).digest('hex'),
+    chunkIndex: 0,
+    tags: ['feedback'],
+    sourceUrl: '',
+    language: '',
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Promote a corrected answer into the tenant's knowledge base
+ * @param {string} tenant - Tenant name
+ * @param {string} id - Feedback ID
+ * @param {Object} options - Promotion options
+ * @param {string} options.question - Question to store (default: the condensed or original query)
+ * @param {string} options.answer - Answer to store (default: the correction)
+ * @param {string} options.note - Review note
+ * @returns {Promise<Object>} { feedback, entry } the updated feedback and the inserted Q&A entry
+ * @throws {Error} If the entry was already reviewed or has no answer to promote
+ */
+export async function promoteFeedback(tenant, id, options = {}) {
+  const feedback = await getFeedback(tenant, id);
+  if (feedback.status !== 'pending') {
+    throw new Error(`Feedback "${id}" was already ${feedback.status}`);
+  }
+  if (!options.answer && !feedback.correction) {
+    throw new Error(`Feedback "${id}" has no correction; pass an answer to promote`);
+  }
+
+  const entry = buildFeedbackEntry(feedback, options);
+
+  const client = await getClient();
+  const tenantCollection = client.collections.get(QA_COLLECTION).withTenant(tenant);
+  await insertEntries(tenantCollection, tenant, [entry], 1);
+  await bumpDataVersion([tenant]);
+
+  const updated = await updateFeedback(tenant, id, {
+    status: 'promoted',
+    promotedFileId: entry.fileId,
+    reviewNote: options.note || '',
+    reviewedAt: new Date().toISOString(),
+  });
+
+  return { feedback: updated, entry };
+}
+
+/**
+ * Reject a feedback entry
+ * @param {string} tenant - Tenant name
+ * @param {string} id - Feedback ID
+ * @param {string} note - Reason for the rejection
+ * @returns {Promise<Object>} Updated feedback
+ */
+export async function rejectFeedback(tenant, id, note = '') {
+  const feedback = await getFeedback(tenant, id);
+  if (feedback.status !== 'pending') {
+    throw new Error(`Feedback "${id}" was already ${feedback.status}`);
+  }
+
+  return updateFeedback(tenant, id, {
+    status: 'rejected',
+    reviewNote: note,
+    reviewedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Print one feedback entry
+ * @param {Object} entry - Feedback entry
+ * @param {boolean} full - Print the answer and correction too
+ */
+function printFeedback(entry, full = false) {
+  const rating = entry.rating === 'up' ? '👍' : '👎';
+  const correction = entry.correction ? ' ✏️' : '';
+  console.log(`  ${entry.id}  ${rating}${correction}  [${entry.status}]  ${entry.query}`);
+  if (full) {
+    console.log(`\n  Answer:     ${entry.answer}`);
+    console.log(`  Correction: ${entry.correction || '(none)'}`);
+    console.log(`  Cited:      ${entry.fileIds.join(', ') || '(none)'}`);
+    console.log(`  Useful:     ${entry.usefulReferences.join(', ') || '(none)'}`);
+    if (entry.promotedFileId) {
+      console.log(`  Promoted:   ${entry.promotedFileId}`);
+    }
+    if (entry.reviewNote) {
+      console.log(`  Note:       ${entry.reviewNote}`);
+    }
+  }
+}
+
+/**
+ * Parse --flag value options
+ * @param {string[]} args - Arguments
+ * @returns {Object} { positional: [], flags: {} }
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+  console.log('Usage: npm run feedback -- <command> <tenant> [args]\n');
+  console.log('Commands:');
+  console.log(`  list <tenant> [--status <${FEEDBACK_STATUSES.join('|')}>] [--corrected]`);
+  console.log('                                 List feedback');
+  console.log('  show <tenant> <id>             Show one entry in full');
+  console.log('  export <tenant> [--format jsonl|csv] [--status <status>] [--out <file>]');
+  console.log('                                 Export feedback (stdout unless --out)');
+  console.log('  promote <tenant> <id> [--question <text>] [--answer <text>] [--note <text>]');
+  console.log('                                 Add the corrected answer to QACollection');
+  console.log('  reject <tenant> <id> [--note <text>]');
+  console.log('                                 Close the entry without changes\n');
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  const [tenant, id] = positional;
+
+  try {
+    if (!tenant && command) {
+      throw new Error('A tenant is required');
+    }
+
+    switch (command) {
+      case 'list': {
+        const entries = await listFeedback(tenant, { status: flags.status, corrected: Boolean(flags.corrected) });
+        if (entries.length === 0) {
+          console.log('No feedback found.');
+        }
+        entries.forEach(entry => printFeedback(entry));
+        break;
+      }
+      case 'show':
+        printFeedback(await getFeedback(tenant, id), true);
+        break;
+      case 'export': {
+        const text = await exportFeedback(tenant, { format: flags.format, status: flags.status });
+        if (flags.out) {
+          await writeFile(flags.out, text, 'utf8');
+          console.log(`✅ Exported feedback of ${tenant} to ${flags.out}`);
+        } else {
+          process.stdout.write(text);
+        }
+        break;
+      }
+      case 'promote': {
+        const { entry } = await promoteFeedback(tenant, id, {
+          question: flags.question,
+          answer: flags.answer,
+          note: flags.note,
+        });
+        console.log(`✅ Promoted feedback ${id} as ${entry.fileId}`);
+        console.log(`   Question: ${entry.question}`);
+        break;
+      }
+      case 'reject':
+        await rejectFeedback(tenant, id, typeof flags.note === 'string' ? flags.note : '');
+        console.log(`✅ Rejected feedback ${id}`);
+        break;
+      default:
+        printUsage();
+        process.exit(command ? 1 : 0);
+    }
+    await closeClient();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Feedback command failed:', error.message);
+    await closeClient();
+    process.exit(1);
+  }
+}
+
+export default {
+  buildFeedbackFileId,
+  buildFeedbackEntry,
+  promoteFeedback,
+  rejectFeedback,
+};
+
+// Run if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,114 @@
+/**
+ * Inline Citations
+ *
+ * RAG answers cite their sources inline with markers such as [FILE-001],
+ * placed after the sentence that uses the document. Markers are validated
+ * against the documents that were actually retrieved: unknown (invented) ids
+ * are stripped, and only the cited documents are reported as sources.
+ */
+
+// A fileId: uppercase prefix, a dash, then letters/digits/dashes (FILE-001, DOC-1A2B3C4D-001)
+const FILE_ID = '[A-Z][A-Z0-9]*-[A-Z0-9][A-Z0-9-]*';
+
+// One marker, possibly grouping several ids: [FILE-001] or [FILE-001, FILE-002]
+const MARKER_PATTERN = new RegExp(`\\[\\s*(${FILE_ID}(?:\\s*[,;]\\s*${FILE_ID})*)\\s*\\]`, 'g');
+
+/**
+ * Split a marker body into its ids
+ * @param {string} body - Text between the brackets
+ * @returns {string[]} File IDs
+ */
+function markerIds(body) {
+  return body.split(/[,;]/).map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Extract every cited fileId, in order of first appearance
+ * @param {string} text - Answer text
+ * @returns {string[]} Unique file IDs
+ */
+export function extractCitations(text) {
+  const ids = [];
+  for (const match of String(text).matchAll(MARKER_PATTERN)) {
+    markerIds(match[1]).forEach((id) => {
+      if (!ids.includes(id)) {
+        ids.push(id);
+      }
+    });
+  }
+  return ids;
+}
+
+/**
+ * Remove all citation markers from text
+ * @param {string} text - Text with citation markers
+ * @returns {string} Text without markers
+ */
+export function stripCitations(text) {
+  return String(text)
+    .replace(MARKER_PATTERN, '')
+    .replace(/[ \t]+([.,;:!?])/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into sentences, keeping trailing citation markers with their sentence
+ * @param {string} text - Answer text
+ * @returns {string[]} Sentences
+ */
+export function splitSentences(text) {
+  const sentencePattern = new RegExp(`[^.!?\\n]+(?:[.!?]+(?:\\s*\\[[^\\]\\n]*\\])*|$)`, 'g');
+  return (String(text).match(sentencePattern) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence.replace(MARKER_PATTERN, '')));
+}
+
+/**
+ * Validate the citation markers of an answer against the retrieved documents
+ * @param {string} answer - Generated answer with inline markers
+ * @param {string[]} allowedIds - File IDs of the retrieved documents
+ * @returns {Object} {
+ *   answer,        // answer with invented ids removed from its markers
+ *   cited,         // valid cited file IDs, in order of first appearance
+ *   invalid,       // invented file IDs that were stripped
+ *   sentences,     // [{ sentence, fileIds }] for every sentence of the cleaned answer
+ *   uncitedSentences // number of sentences without a citation
+ * }
+ */
+export function validateCitations(answer, allowedIds) {
+  const allowed = new Set(allowedIds);
+  const invalid = [];
+
+  const cleaned = String(answer)
+    .replace(MARKER_PATTERN, (_, body) => {
+      const ids = markerIds(body);
+      ids.filter(id => !allowed.has(id) && !invalid.includes(id)).forEach(id => invalid.push(id));
+      const kept = [...new Set(ids.filter(id => allowed.has(id)))];
+      return kept.length > 0 ? `[${kept.join(', ')}]` : '';
+    })
+    // Tidy the gaps left by removed markers
+    .replace(/[ \t]+([.,;:!?])/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+
+  const sentences = splitSentences(cleaned).map(sentence => ({
+    sentence,
+    fileIds: extractCitations(sentence),
+  }));
+
+  return {
+    answer: cleaned,
+    cited: extractCitations(cleaned),
+    invalid,
+    sentences,
+    uncitedSentences: sentences.filter(item => item.fileIds.length === 0).length,
+  };
+}
+
+export default {
+  extractCitations,
+  stripCitations,
+  splitSentences,
+  validateCitations,
+};
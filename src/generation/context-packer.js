@@ -0,0 +1,226 @@
+import { tokenize } from '../retrieval/bm25.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Context Packing
+ *
+ * Fits retrieved Q&A pairs into a token budget before they go into the
+ * prompt:
+ * 1. documents are taken in priority order (rerank score, then fused/raw score)
+ * 2. near-identical Q&A pairs are dropped as duplicates
+ * 3. long answers are truncated (or summarized) to a per-document cap
+ * 4. documents are added until the budget is used up; the rest are dropped
+ *
+ * Token counts are estimated (about 4 characters per token for Gemini on
+ * English text), which is close enough for budgeting.
+ */
+
+export const PACKING_STRATEGIES = ['truncate', 'summarize'];
+
+// Context budget in tokens per model, leaving room for the prompt and answer
+export const CONTEXT_BUDGETS = {
+  'gemini-2.5-flash': 8000,
+  'gemini-2.5-flash-lite': 8000,
+  'gemini-2.5-pro': 16000,
+  'gemini-2.0-flash': 8000,
+  default: 4000,
+};
+
+// Documents get at most this share of the budget each, so one long answer can't crowd out the rest
+const MAX_DOCUMENT_SHARE = 0.4;
+
+// Don't bother adding a truncated document with fewer tokens than this
+const MIN_DOCUMENT_TOKENS = 40;
+
+// Jaccard similarity of term sets above which two Q&A pairs count as duplicates
+const DUPLICATE_SIMILARITY = 0.9;
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Get the context budget for a model
+ * @param {string} modelName - Model name
+ * @returns {number} Budget in tokens (RAG_CONTEXT_TOKENS overrides the table)
+ */
+export function getContextBudget(modelName) {
+  return getConfig('generation').contextTokens || CONTEXT_BUDGETS[modelName] || CONTEXT_BUDGETS.default;
+}
+
+/**
+ * Format one document for the prompt
+ * @param {number} idx - Zero based position in the context
+ * @param {Object} properties - { fileId, question } of the document
+ * @param {string} answer - Answer text (possibly shortened)
+ * @returns {string} Document block
+ */
+export function formatDocument(idx, properties, answer) {
+  return `Document ${idx + 1} [${properties.fileId}]:\nQuestion: ${properties.question}\nAnswer: ${answer}`;
+}
+
+/**
+ * Cut text to roughly a number of tokens, at a sentence or word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Shortened text ending with an ellipsis
+ */
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const slice = text.slice(0, maxChars - 1);
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+  const cut = sentenceEnd > maxChars * 0.5 ? sentenceEnd + 1 : slice.lastIndexOf(' ');
+  return `${slice.slice(0, cut > 0 ? cut : slice.length).trimEnd()}…`;
+}
+
+/**
+ * Jaccard similarity of two term sets
+ * @param {Set} a - Terms
+ * @param {Set} b - Terms
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach((term) => {
+    if (b.has(term)) {
+      shared += 1;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Priority of a retrieved document: rerank score, then fused score, then raw score
+ * @param {Object} doc - Retrieved object
+ * @returns {number} Priority (higher first)
+ */
+function priorityOf(doc) {
+  return doc.metadata?.rerankScore ?? doc.metadata?.fusedScore ?? doc.metadata?.score ?? 0;
+}
+
+/**
+ * Summarize a long answer with the LLM
+ * @param {Object} model - Chat model instance
+ * @param {Object} properties - { question, answer }
+ * @param {number} maxTokens - Target length in tokens
+ * @returns {Promise<string>} Summary, cut to maxTokens
+ */
+async function summarizeAnswer(model, properties, maxTokens) {
+  const prompt = `Summarize the answer below in at most ${Math.floor(maxTokens * 0.75)} words.
+Keep every fact, number and name needed to answer the question; drop everything else.
+
+Question: ${properties.question}
+Answer: ${properties.answer}
+
+Respond ONLY with the summary.`;
+
+  const response = await model.invoke(prompt);
+  return truncateToTokens(String(response.content).trim(), maxTokens);
+}
+
+/**
+ * Pack retrieved documents into a token budget
+ * @param {Array} docs - Retrieved objects (see retrieval/retriever.js)
+ * @param {Object} options - Packing options
+ * @param {number} options.budget - Context budget in tokens (default: getContextBudget(options.modelName))
+ * @param {string} options.modelName - Model the context is for (default: gemini-2.5-flash)
+ * @param {string} options.strategy - 'truncate' or 'summarize' long answers (default: RAG_CONTEXT_STRATEGY or 'truncate')
+ * @param {Object} options.model - Chat model for the summarize strategy (default: the context-summary task model, see llm/models.js)
+ * @returns {Promise<Object>} { documents: [retrieved objects that made it, best first], context: prompt text,
+ *   report: { budget, used, kept, dropped: [{ fileId, reason, duplicateOf? }], truncated, summarized } }
+ */
+export async function packContext(docs, options = {}) {
+  const {
+    modelName = 'gemini-2.5-flash',
+    budget = getContextBudget(modelName),
+    strategy = getConfig('generation').contextStrategy,
+  } = options;
+
+  if (!PACKING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid packing strategy "${strategy}". Use one of: ${PACKING_STRATEGIES.join(', ')}`);
+  }
+
+  const maxDocumentTokens = Math.max(Math.floor(budget * MAX_DOCUMENT_SHARE), MIN_DOCUMENT_TOKENS);
+  const ordered = docs
+    .map((doc, idx) => ({ doc, idx }))
+    .sort((x, y) => priorityOf(y.doc) - priorityOf(x.doc) || x.idx - y.idx)
+    .map(({ doc }) => doc);
+
+  const kept = [];      // { doc, terms, block }
+  const report = { budget, used: 0, kept: [], dropped: [], truncated: [], summarized: [] };
+  let model = options.model || null;
+
+  for (const doc of ordered) {
+    const { fileId } = doc.properties;
+    const terms = new Set(tokenize(`${doc.properties.question} ${doc.properties.answer}`));
+
+    const duplicate = kept.find(entry => jaccard(entry.terms, terms) >= DUPLICATE_SIMILARITY);
+    if (duplicate) {
+      report.dropped.push({ fileId, reason: 'duplicate', duplicateOf: duplicate.doc.properties.fileId });
+      continue;
+    }
+
+    const remaining = budget - report.used;
+    const overhead = estimateTokens(formatDocument(kept.length, doc.properties, '')) + 1;
+    const answerLimit = Math.min(maxDocumentTokens, remaining) - overhead;
+
+    if (answerLimit < MIN_DOCUMENT_TOKENS && estimateTokens(doc.properties.answer) > answerLimit) {
+      report.dropped.push({ fileId, reason: 'budget' });
+      continue;
+    }
+
+    let answer = doc.properties.answer;
+    if (estimateTokens(answer) > answerLimit) {
+      if (strategy === 'summarize') {
+        try {
+          if (!model) {
+            const { getChatModel } = await import('../llm/models.js');
+            model = await getChatModel('context-summary', { temperature: 0 });
+          }
+          answer = await summarizeAnswer(model, doc.properties, answerLimit);
+          report.summarized.push(fileId);
+        } catch (error) {
+          console.error('⚠️  Error summarizing answer, truncating instead:', error.message);
+          answer = truncateToTokens(answer, answerLimit);
+          report.truncated.push(fileId);
+        }
+      } else {
+        answer = truncateToTokens(answer, answerLimit);
+        report.truncated.push(fileId);
+      }
+    }
+
+    const block = formatDocument(kept.length, doc.properties, answer);
+    kept.push({ doc, terms, block });
+    report.used += estimateTokens(block) + 1;
+    report.kept.push(fileId);
+  }
+
+  return {
+    documents: kept.map(entry => entry.doc),
+    context: kept.map(entry => entry.block).join('\n\n'),
+    report,
+  };
+}
+
+export default {
+  PACKING_STRATEGIES,
+  CONTEXT_BUDGETS,
+  estimateTokens,
+  getContextBudget,
+  formatDocument,
+  truncateToTokens,
+  packContext,
+};
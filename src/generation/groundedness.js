@@ -0,0 +1,273 @@
+import { getChatModel } from '../llm/models.js';
+import { getConfig } from '../config/config.js';
+import { tokenize } from '../retrieval/bm25.js';
+import { extractCitations, splitSentences, stripCitations, validateCitations } from './citations.js';
+
+/**
+ * Groundedness Verification
+ *
+ * Checks whether a RAG answer is supported by the Q&A pairs it was generated
+ * from. The answer is split into claims (sentences); each claim is judged
+ * against the references, giving a groundedness score (share of supported
+ * claims) and the unsupported spans.
+ *
+ * When the score is below the threshold the answer is regenerated once with
+ * the unsupported claims called out, and downgraded (flagged with a notice)
+ * if it is still not grounded enough.
+ */
+
+export const GROUNDEDNESS_METHODS = ['llm', 'lexical', 'off'];
+
+// Notice put in front of answers that remain poorly grounded
+export const DOWNGRADE_NOTICE = '⚠️ Parts of this answer could not be verified against the knowledge base and may be inaccurate.';
+
+// Share of a claim's terms that must appear in the references for the lexical check
+const LEXICAL_SUPPORT_RATIO = 0.6;
+
+/**
+ * Split an answer into claims
+ * @param {string} answer - Answer with inline citations
+ * @returns {Array} [{ text, fileIds }] where text has its citation markers removed
+ */
+function extractClaims(answer) {
+  return splitSentences(answer).map(sentence => ({
+    text: stripCitations(sentence),
+    fileIds: extractCitations(sentence),
+  }));
+}
+
+/**
+ * Format references for a prompt
+ * @param {Array} references - [{ fileId, question, answer }]
+ * @returns {string} Context block
+ */
+function formatReferences(references) {
+  return references
+    .map(ref => `[${ref.fileId}]\nQuestion: ${ref.question}\nAnswer: ${ref.answer}`)
+    .join('\n\n');
+}
+
+/**
+ * Judge claims by term overlap with the references (offline fallback)
+ * A claim is supported when most of its terms appear in the documents it
+ * cites, or in any reference if it cites none.
+ * @param {Array} claims - [{ text, fileIds }]
+ * @param {Array} references - [{ fileId, question, answer }]
+ * @returns {Array} [{ text, supported, fileIds }]
+ */
+function judgeLexically(claims, references) {
+  const termsOf = refs => new Set(refs.flatMap(ref => tokenize(`${ref.question} ${ref.answer}`)));
+  const allTerms = termsOf(references);
+
+  return claims.map((claim) => {
+    const citedRefs = references.filter(ref => claim.fileIds.includes(ref.fileId));
+    const available = citedRefs.length > 0 ? termsOf(citedRefs) : allTerms;
+    const terms = tokenize(claim.text);
+    const ratio = terms.length > 0 ? terms.filter(term => available.has(term)).length / terms.length : 1;
+    return { ...claim, supported: ratio >= LEXICAL_SUPPORT_RATIO };
+  });
+}
+
+/**
+ * Judge claims with the LLM in a single call
+ * @param {Object} model - Chat model instance
+ * @param {Array} claims - [{ text, fileIds }]
+ * @param {Array} references - [{ fileId, question, answer }]
+ * @returns {Promise<Array>} [{ text, supported, fileIds, reason }]
+ * @throws {Error} If the model output cannot be parsed
+ */
+async function judgeWithLLM(model, claims, references) {
+  const prompt = `You verify whether claims are supported by reference documents.
+
+Reference Documents:
+${formatReferences(references)}
+
+Claims:
+${claims.map((claim, idx) => `${idx + 1}. ${claim.text}`).join('\n')}
+
+For every claim decide if the reference documents state or directly imply it. General knowledge
+that is not in the documents does NOT count as support.
+
+Respond in JSON format, one object per claim in the same order:
+[
+  { "claim": 1, "supported": true/false, "evidence": ["FILE-001"], "reason": "brief explanation" }
+]
+
+Respond ONLY with valid JSON, no other text.`;
+
+  const response = await model.invoke(prompt);
+  const jsonMatch = String(response.content).match(/\[[\s\S]*\]/);
+  const verdicts = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+
+  if (!Array.isArray(verdicts) || verdicts.length !== claims.length) {
+    throw new Error('Unexpected verdicts format');
+  }
+
+  return claims.map((claim, idx) => ({
+    ...claim,
+    supported: verdicts[idx].supported === true,
+    fileIds: Array.isArray(verdicts[idx].evidence) && verdicts[idx].evidence.length > 0
+      ? verdicts[idx].evidence
+      : claim.fileIds,
+    reason: verdicts[idx].reason || '',
+  }));
+}
+
+/**
+ * Score how well an answer is supported by its references
+ * @param {Object} params - Check parameters
+ * @param {string} params.answer - Answer with inline citations
+ * @param {Array} params.references - [{ fileId, question, answer }] the answer was generated from
+ * @param {string} params.method - 'llm' or 'lexical' (default: RAG_GROUNDEDNESS or 'llm')
+ * @param {Object} params.model - Chat model for the llm method (default: the groundedness task model, see llm/models.js)
+ * @returns {Promise<Object>} { score, method, claims: [{ text, supported, fileIds }], unsupportedSpans }
+ */
+export async function checkGroundedness({ answer, references, method, model }) {
+  const selected = method || getConfig('generation').groundedness;
+  const claims = extractClaims(answer);
+
+  if (claims.length === 0) {
+    return { score: 1, method: selected, claims: [], unsupportedSpans: [] };
+  }
+
+  let judged;
+  let usedMethod = selected;
+
+  if (references.length === 0) {
+    // Nothing to support the claims with
+    judged = claims.map(claim => ({ ...claim, supported: false }));
+  } else if (selected === 'llm') {
+    try {
+      judged = await judgeWithLLM(model || await getChatModel('groundedness', { temperature: 0 }), claims, references);
+    } catch (error) {
+      console.error('⚠️  Error checking groundedness with LLM, using lexical check:', error.message);
+      judged = judgeLexically(claims, references);
+      usedMethod = 'lexical';
+    }
+  } else {
+    judged = judgeLexically(claims, references);
+  }
+
+  const supported = judged.filter(claim => claim.supported).length;
+
+  return {
+    score: supported / judged.length,
+    method: usedMethod,
+    claims: judged,
+    unsupportedSpans: judged.filter(claim => !claim.supported).map(claim => claim.text),
+  };
+}
+
+/**
+ * Regenerate an answer restricted to what the references support
+ * @param {Object} params - Regeneration parameters
+ * @param {string} params.query - User question
+ * @param {Array} params.references - [{ fileId, question, answer }]
+ * @param {string[]} params.unsupportedSpans - Claims of the previous answer that were not supported
+ * @param {Object} params.model - Chat model (default: the regenerate task model)
+ * @returns {Promise<string>} New answer with validated inline citations
+ */
+export async function regenerateGroundedAnswer({ query, references, unsupportedSpans, model }) {
+  const prompt = `Answer the user's question strictly from the reference documents below.
+
+Reference Documents:
+${formatReferences(references)}
+
+User Question: ${query}
+
+A previous answer made these claims that the documents do not support. Leave them out:
+${unsupportedSpans.map(span => `- ${span}`).join('\n')}
+
+Instructions:
+- State only facts written in the reference documents, no outside knowledge
+- End every sentence with the marker of the document it uses, e.g. [FILE-001]
+- If the documents only partly answer the question, say which part they don't cover
+- Be concise
+
+Answer:`;
+
+  const response = await (model || await getChatModel('regenerate', { temperature: 0.2 })).invoke(prompt);
+  return validateCitations(response.content, references.map(ref => ref.fileId)).answer;
+}
+
+/**
+ * Verify an answer and regenerate or downgrade it when it is poorly grounded
+ * @param {Object} params - Verification parameters
+ * @param {string} params.query - User question
+ * @param {string} params.answer - Answer with inline citations
+ * @param {Array} params.references - [{ fileId, question, answer }]
+ * @param {number} params.threshold - Minimum groundedness score (default: RAG_MIN_GROUNDEDNESS or 0.7)
+ * @param {string} params.method - 'llm', 'lexical' or 'off' (default: RAG_GROUNDEDNESS or 'llm')
+ * @param {boolean} params.regenerate - Try one regeneration before downgrading (default: true)
+ * @param {Object} params.model - Chat model used for judging and regenerating
+ * @returns {Promise<Object>} { answer, groundedness: { score, method, threshold, action, claims,
+ *   unsupportedSpans } } where action is 'none', 'regenerated', 'downgraded' or 'skipped'
+ */
+export async function verifyAnswer(params) {
+  const config = getConfig('generation');
+  const {
+    query,
+    references,
+    threshold = config.minGroundedness,
+    method = config.groundedness,
+    regenerate = true,
+    model,
+  } = params;
+  let { answer } = params;
+
+  if (!GROUNDEDNESS_METHODS.includes(method)) {
+    throw new Error(`Invalid groundedness method "${method}". Use one of: ${GROUNDEDNESS_METHODS.join(', ')}`);
+  }
+
+  if (method === 'off') {
+    return { answer, groundedness: { score: null, method, threshold, action: 'skipped', claims: [], unsupportedSpans: [] } };
+  }
+
+  let result = await checkGroundedness({ answer, references, method, model });
+  let action = 'none';
+  console.log(`🧾 Groundedness: ${result.score.toFixed(2)} (${result.unsupportedSpans.length} unsupported claim(s))`);
+
+  if (result.score < threshold && regenerate && references.length > 0) {
+    console.log(`🔁 Groundedness below ${threshold}, regenerating the answer`);
+    const regenerated = await regenerateGroundedAnswer({
+      query,
+      references,
+      unsupportedSpans: result.unsupportedSpans,
+      model,
+    });
+    const recheck = await checkGroundedness({ answer: regenerated, references, method, model });
+    console.log(`🧾 Groundedness after regeneration: ${recheck.score.toFixed(2)}`);
+
+    if (recheck.score >= result.score) {
+      answer = regenerated;
+      result = recheck;
+      action = 'regenerated';
+    }
+  }
+
+  if (result.score < threshold) {
+    console.log('⚠️  Answer is not grounded enough, downgrading it');
+    answer = `${DOWNGRADE_NOTICE}\n\n${answer}`;
+    action = 'downgraded';
+  }
+
+  return {
+    answer,
+    groundedness: {
+      score: result.score,
+      method: result.method,
+      threshold,
+      action,
+      claims: result.claims,
+      unsupportedSpans: result.unsupportedSpans,
+    },
+  };
+}
+
+export default {
+  GROUNDEDNESS_METHODS,
+  DOWNGRADE_NOTICE,
+  checkGroundedness,
+  regenerateGroundedAnswer,
+  verifyAnswer,
+};
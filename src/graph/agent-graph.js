@@ -1,5 +1,19 @@
+import { randomUUID } from 'crypto';
 import { StateGraph, END, START } from '@langchain/langgraph';
 import { delegateQuery } from '../agents/delegating-agent.js';
+import { verifyAnswer } from '../generation/groundedness.js';
+import { extractCitations } from '../generation/citations.js';
+import { EVENTS } from '../llm/streaming.js';
+import { createCallTracker } from '../llm/resilience.js';
+import { summarizeUsage } from '../usage/usage.js';
+import { recordUsage } from '../usage/usage-store.js';
+import { getCheckpointer } from '../memory/checkpointer.js';
+import { appendTurn, compactHistory, normalizeHistory } from '../memory/history.js';
+import { condenseQuestion } from '../memory/condense.js';
+import { getAnswerCache } from '../cache/answer-cache.js';
+import { getRetriever } from '../retrieval/retriever.js';
+import { normalizeFilters } from '../retrieval/filters.js';
+import { getConfig } from '../config/config.js';
 
 /**
  * State Schema for the Agent Graph
@@ -9,13 +23,160 @@ import { delegateQuery } from '../agents/delegating-agent.js';
 class AgentState {
   constructor(data = {}) {
     this.query = data.query || '';           // User's input query
-    this.tenant = data.tenant || 'tenant1';  // Tenant context
+    this.standaloneQuery = data.standaloneQuery || null; // Query rewritten to stand without the conversation
+    this.tenant = data.tenant || getConfig('tenants').defaultTenant;  // Tenant context
+    this.filters = data.filters || null;     // Metadata filters for retrieval
+    this.useCache = data.useCache ?? true;   // Whether the answer cache may be used
     this.answer = data.answer || '';         // Generated answer
+    this.ragAnswer = data.ragAnswer || null; // Knowledge base part of the answer
     this.fileIds = data.fileIds || [];       // Source file IDs
     this.references = data.references || []; // Full references
     this.chartConfig = data.chartConfig || null; // Chart.js configuration
     this.error = data.error || null;         // Error information
     this.metadata = data.metadata || {};     // Additional metadata
+    this.history = data.history || [];       // Recent conversation turns (kept per thread)
+    this.summary = data.summary || '';       // Summary of older turns (kept per thread)
+  }
+}
+
+/**
+ * Channel reducer: take the update unless the node left the field out
+ * (null is a real value, so each run can reset the per-query fields)
+ */
+const keepUnlessUndefined = (x, y) => (y === undefined ? x : y);
+
+/**
+ * Condense Node - Rewrites a follow-up into a standalone question
+ * Routing, retrieval and verification use the standalone question; the
+ * history keeps what the user actually typed
+ */
+async function condenseNode(state) {
+  const { query, condensed } = await condenseQuestion({
+    query: state.query,
+    history: state.history,
+    summary: state.summary,
+  });
+  
+  if (condensed) {
+    console.log('\n📝 Condense Node: Standalone question:', query);
+  }
+  
+  return {
+    standaloneQuery: query,
+    metadata: {
+      ...state.metadata,
+      originalQuery: state.query,
+      condensedQuery: condensed ? query : null,
+    },
+  };
+}
+
+/**
+ * Resolve the cache parameters of a state
+ * @param {Object} state - Graph state
+ * @returns {Promise<Object|null>} { cache, query, filters, dataVersion }, or null when caching is off
+ */
+async function cacheContext(state) {
+  const cache = getAnswerCache();
+  if (!cache || !state.useCache) {
+    return null;
+  }
+  
+  const retriever = await getRetriever();
+  return {
+    cache,
+    query: state.standaloneQuery || state.query,
+    filters: normalizeFilters(state.filters),
+    dataVersion: retriever.dataVersion ? await retriever.dataVersion(state.tenant) : null,
+  };
+}
+
+/**
+ * Cache Lookup Node - Answers repeated questions from the answer cache
+ * A hit skips routing, retrieval, generation and verification
+ */
+async function cacheLookupNode(state) {
+  try {
+    const context = await cacheContext(state);
+    if (!context) {
+      return { metadata: { ...state.metadata, cache: { hit: false, bypassed: true } } };
+    }
+    
+    const { cache, query, filters, dataVersion } = context;
+    const cached = await cache.lookup(state.tenant, query, { filters, dataVersion });
+    if (!cached) {
+      return { metadata: { ...state.metadata, cache: { hit: false, dataVersion } } };
+    }
+    
+    console.log(`\n⚡ Cache Node: ${cached.match} hit (similarity ${cached.similarity.toFixed(3)}, ${cached.ageSeconds}s old)`);
+    return {
+      ...cached.response,
+      ragAnswer: null,
+      metadata: {
+        ...cached.response.metadata,
+        originalQuery: state.metadata.originalQuery,
+        condensedQuery: state.metadata.condensedQuery,
+        startTime: state.metadata.startTime,
+        cache: {
+          hit: true,
+          match: cached.match,
+          similarity: cached.similarity,
+          ageSeconds: cached.ageSeconds,
+        },
+      },
+    };
+    
+  } catch (error) {
+    // The cache is an optimisation: answer normally if it can't be used
+    console.error('⚠️  Error in cache lookup node:', error.message);
+    return { metadata: { ...state.metadata, cache: { hit: false, error: error.message } } };
+  }
+}
+
+/**
+ * Route after the cache lookup: cached answers go straight to memory
+ */
+function routeAfterCache(state) {
+  return state.metadata.cache?.hit ? 'update_memory' : 'delegating_agent';
+}
+
+/**
+ * Cache Store Node - Caches verified answers
+ * Errors, answers downgraded by the groundedness check and answers whose
+ * routing or chart extraction failed are not cached
+ */
+async function cacheStoreNode(state) {
+  const cacheState = state.metadata.cache || {};
+  if (state.error || cacheState.bypassed || cacheState.error || state.metadata.groundedness?.action === 'downgraded') {
+    return {};
+  }
+  if (state.metadata.routing?.error || state.metadata.chart?.error) {
+    return {};
+  }
+  
+  try {
+    const cache = getAnswerCache();
+    if (!cache) {
+      return {};
+    }
+    
+    const { cache: _cache, ...metadata } = state.metadata;
+    await cache.store(state.tenant, state.standaloneQuery || state.query, {
+      answer: state.answer,
+      fileIds: state.fileIds,
+      references: state.references,
+      chartConfig: state.chartConfig,
+      metadata,
+    }, {
+      filters: normalizeFilters(state.filters),
+      dataVersion: cacheState.dataVersion ?? null,
+    });
+    
+    return { metadata: { ...state.metadata, cache: { hit: false, stored: true } } };
+    
+  } catch (error) {
+    console.error('⚠️  Error in cache store node:', error.message);
+    return {};
   }
 }
 
@@ -25,12 +186,17 @@ class AgentState {
  */
 async function delegatingNode(state) {
   console.log('\n🎯 Delegating Node: Processing state');
-  console.log('Query:', state.query);
+  const query = state.standaloneQuery || state.query;
+  console.log('Query:', query);
   console.log('Tenant:', state.tenant);
   
   try {
     // Use the delegating agent to process the query
-    const result = await delegateQuery(state.query, { tenant: state.tenant });
+    const result = await delegateQuery(query, {
+      tenant: state.tenant,
+      filters: state.filters,
+      conversation: { history: state.history, summary: state.summary },
+    });
     
     // Update state with results
     return {
@@ -39,8 +205,10 @@ async function delegatingNode(state) {
       fileIds: result.fileIds || [],
       references: result.references || [],
       chartConfig: result.chartConfig || null,
+      ragAnswer: result.ragAnswer || null,
       metadata: {
         ...state.metadata,
+        ...result.metadata,
         processed: true,
         timestamp: new Date().toISOString(),
       }
@@ -56,114 +224,304 @@ async function delegatingNode(state) {
   }
 }
 
+/**
+ * Groundedness Node - Verifies the knowledge base answer
+ * Scores the RAG part of the answer against its references, regenerates or
+ * downgrades it when support is too low, and records the result in metadata
+ */
+async function groundednessNode(state) {
+  if (state.error || !state.ragAnswer) {
+    return {};
+  }
+  
+  console.log('\n🧾 Groundedness Node: Verifying the answer');
+  
+  try {
+    const { answer, groundedness } = await verifyAnswer({
+      query: state.standaloneQuery || state.query,
+      answer: state.ragAnswer,
+      references: state.references,
+    });
+    
+    // A regenerated answer may cite fewer documents
+    const cited = extractCitations(answer);
+    const references = state.references.filter(ref => cited.includes(ref.fileId));
+    
+    return {
+      answer: state.answer.replace(state.ragAnswer, () => answer),
+      ragAnswer: answer,
+      fileIds: references.map(ref => ref.fileId),
+      references,
+      metadata: {
+        ...state.metadata,
+        groundedness,
+      },
+    };
+    
+  } catch (error) {
+    // Verification is best-effort: keep the answer but record that it was not checked
+    console.error('❌ Error in groundedness node:', error.message);
+    return {
+      metadata: {
+        ...state.metadata,
+        groundedness: { score: null, action: 'failed', error: error.message },
+      },
+    };
+  }
+}
+
+/**
+ * Memory Node - Adds the finished turn to the conversation history
+ * Older turns beyond the history window are folded into the summary
+ */
+async function memoryNode(state) {
+  if (state.error) {
+    return {};
+  }
+  
+  const { history, summary } = await compactHistory({
+    history: appendTurn(state.history, state.query, state.answer),
+    summary: state.summary,
+  });
+  
+  return { history, summary };
+}
+
 /**
  * Create the LangGraph state graph
  * 
  * Graph Structure:
- * START → Delegating Node → END
+ * START → Condense Node → Cache Lookup ─(hit)──────────────────────────────────→ Memory Node → END
+ *                                     └(miss)→ Delegating Node → Groundedness Node → Cache Store ↗
  * 
  * The delegating node handles all routing internally, so we keep
  * the graph structure simple and let the agent handle complexity.
+ * State is checkpointed per thread_id, so the conversation history
+ * carries over between runs of the same thread.
+ * @param {Object} options - Graph options
+ * @param {Object} options.checkpointer - Checkpointer (default: getCheckpointer(), see memory/checkpointer.js)
  */
-export function createAgentGraph() {
+export function createAgentGraph(options = {}) {
   console.log('🔧 Creating LangGraph Agent Graph...');
   
   // Define the state graph
   const workflow = new StateGraph({
     channels: {
       query: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => '',
       },
+      standaloneQuery: {
+        value: keepUnlessUndefined,
+        default: () => null,
+      },
       tenant: {
-        value: (x, y) => y ?? x,
-        default: () => 'tenant1',
+        value: keepUnlessUndefined,
+        default: () => getConfig('tenants').defaultTenant,
+      },
+      filters: {
+        value: keepUnlessUndefined,
+        default: () => null,
+      },
+      useCache: {
+        value: keepUnlessUndefined,
+        default: () => true,
       },
       answer: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => '',
       },
+      ragAnswer: {
+        value: keepUnlessUndefined,
+        default: () => null,
+      },
       fileIds: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => [],
       },
       references: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => [],
       },
       chartConfig: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => null,
       },
       error: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => null,
       },
       metadata: {
-        value: (x, y) => y ?? x,
+        value: keepUnlessUndefined,
         default: () => ({}),
       },
+      history: {
+        value: keepUnlessUndefined,
+        default: () => [],
+      },
+      summary: {
+        value: keepUnlessUndefined,
+        default: () => '',
+      },
     },
   });
   
   // Add nodes
+  workflow.addNode('condense_question', condenseNode);
   workflow.addNode('delegating_agent', delegatingNode);
+  workflow.addNode('groundedness_check', groundednessNode);
+  workflow.addNode('cache_lookup', cacheLookupNode);
+  workflow.addNode('cache_store', cacheStoreNode);
+  workflow.addNode('update_memory', memoryNode);
   
   // Define edges
-  workflow.addEdge(START, 'delegating_agent');
-  workflow.addEdge('delegating_agent', END);
+  workflow.addEdge(START, 'condense_question');
+  workflow.addEdge('condense_question', 'cache_lookup');
+  workflow.addConditionalEdges('cache_lookup', routeAfterCache, ['delegating_agent', 'update_memory']);
+  workflow.addEdge('delegating_agent', 'groundedness_check');
+  workflow.addEdge('groundedness_check', 'cache_store');
+  workflow.addEdge('cache_store', 'update_memory');
+  workflow.addEdge('update_memory', END);
   
   // Compile the graph
-  const app = workflow.compile();
+  const app = workflow.compile({ checkpointer: options.checkpointer || getCheckpointer() });
   
   console.log('✅ LangGraph Agent Graph created successfully!');
   
   return app;
 }
 
+// Nodes reported in the event stream
+const GRAPH_NODES = [
+  'condense_question',
+  'cache_lookup',
+  'delegating_agent',
+  'groundedness_check',
+  'cache_store',
+  'update_memory',
+];
+
+/**
+ * Build the initial graph state for a query
+ * history and summary are left out unless given, so the thread's checkpointed
+ * values are kept.
+ * @param {string} query - User's query
+ * @param {Object} options - { tenant, filters, cache, history, summary }
+ * @returns {Object} Initial state
+ */
+function createInitialState(query, options = {}) {
+  const { tenant = getConfig('tenants').defaultTenant, filters = null } = options;
+  const conversation = options.history
+    ? { history: normalizeHistory(options.history), summary: options.summary || '' }
+    : {};
+  return {
+    ...conversation,
+    query,
+    standaloneQuery: null,
+    tenant,
+    filters,
+    useCache: options.cache !== false,
+    answer: '',
+    ragAnswer: null,
+    fileIds: [],
+    references: [],
+    chartConfig: null,
+    error: null,
+    metadata: {
+      startTime: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Build the run config for a conversation thread
+ * @param {Object} options - { threadId }
+ * @returns {Object} Config with configurable.thread_id (a new thread when threadId is not given)
+ */
+function createRunConfig(options = {}) {
+  return { configurable: { thread_id: options.threadId || randomUUID() } };
+}
+
+/**
+ * Add the model calls and token usage of a run to its final state, and record the usage for its tenant
+ * @param {Object} state - Final state
+ * @param {Object} stats - Counts of the run's call tracker
+ * @returns {Promise<Object>} State with metadata.modelCalls ({ calls, retries, fallbacks, failures, tasks })
+ *   and metadata.usage (see usage/usage.js summarizeUsage)
+ */
+async function withModelCalls(state, stats) {
+  const { usage: calls, ...counts } = stats;
+  const usage = summarizeUsage(calls);
+  try {
+    await recordUsage(state.tenant, usage, { type: 'query' });
+  } catch (error) {
+    // Usage totals are bookkeeping; the answer is still returned
+    console.error('⚠️  Could not record usage:', error.message);
+  }
+  return { ...state, metadata: { ...state.metadata, modelCalls: structuredClone(counts), usage } };
+}
+
 /**
  * Execute a query through the agent graph
  * @param {string} query - User's query
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} Final state with results
+ * @param {string} options.tenant - Tenant to search in
+ * @param {Object} options.filters - Metadata filters for retrieval (see retrieval/filters.js)
+ * @param {boolean} options.cache - Use the answer cache (default: true; see cache/answer-cache.js)
+ * @param {string} options.threadId - Conversation thread; queries with the same threadId see the
+ *   previous turns (default: a new thread)
+ * @param {Array} options.history - Prior turns as [{ role: 'user' | 'assistant', content }]; replaces the
+ *   thread's history (e.g. when the conversation is kept by the caller)
+ * @param {string} options.summary - Summary of turns before options.history
+ * @param {Object} options.checkpointer - Checkpointer holding the threads (default: getCheckpointer())
+ * @returns {Promise<Object>} Final state with results; metadata.modelCalls counts the model calls,
+ *   retries and fallbacks of the run (see llm/resilience.js), metadata.usage its tokens and cost
+ *   (see usage/usage.js)
  */
 export async function runAgentGraph(query, options = {}) {
-  const { tenant = 'tenant1' } = options;
-  
   console.log('\n' + '▓'.repeat(70));
   console.log('🚀 LANGGRAPH EXECUTION START');
   console.log('▓'.repeat(70));
   
   try {
     // Create the graph
-    const app = createAgentGraph();
+    const app = createAgentGraph({ checkpointer: options.checkpointer });
     
     // Initial state
-    const initialState = {
-      query,
-      tenant,
-      answer: '',
-      fileIds: [],
-      references: [],
-      chartConfig: null,
-      error: null,
-      metadata: {
-        startTime: new Date().toISOString(),
-      },
-    };
+    const initialState = createInitialState(query, options);
+    const config = createRunConfig(options);
     
     console.log('\n📥 Initial State:');
     console.log('  Query:', initialState.query);
     console.log('  Tenant:', initialState.tenant);
+    console.log('  Thread:', config.configurable.thread_id);
     
-    // Run the graph
-    const result = await app.invoke(initialState);
+    // Run the graph, counting its model calls
+    const tracker = createCallTracker();
+    const result = await withModelCalls(await tracker.run(() => app.invoke(initialState, config)), tracker.stats);
     
     console.log('\n📤 Final State:');
     console.log('  Answer:', result.answer.substring(0, 80) + (result.answer.length > 80 ? '...' : ''));
     console.log('  File IDs:', result.fileIds);
     console.log('  References:', result.references.length, 'items');
     console.log('  Chart Config:', result.chartConfig ? 'Present' : 'None');
+    if (result.metadata.cache?.hit) {
+      console.log('  Cache:', `${result.metadata.cache.match} hit`);
+    }
+    if (result.metadata.condensedQuery) {
+      console.log('  Condensed Query:', result.metadata.condensedQuery);
+    }
+    if (result.metadata.queryTransform) {
+      console.log('  Search Queries:', result.metadata.queryTransform.queries);
+    }
+    if (result.metadata.modelCalls.retries > 0 || result.metadata.modelCalls.fallbacks > 0) {
+      const { calls, retries, fallbacks } = result.metadata.modelCalls;
+      console.log('  Model Calls:', `${calls} (${retries} retries, ${fallbacks} fallbacks)`);
+    }
+    if (result.metadata.usage.calls > 0) {
+      const { totalTokens, cost, estimated } = result.metadata.usage;
+      console.log('  Usage:', `${totalTokens} tokens, $${cost.toFixed(6)}${estimated ? ' (estimated)' : ''}`);
+    }
     console.log('  Error:', result.error || 'None');
     
     console.log('\n▓'.repeat(70));
@@ -178,6 +536,60 @@ export async function runAgentGraph(query, options = {}) {
   }
 }
 
+/**
+ * Execute a query through the agent graph, yielding progress as it happens
+ *
+ * Yields simplified events:
+ * - { type: 'node_start' | 'node_end', node }   a graph node started / finished
+ * - { type: 'sources', references }              documents that went into the RAG context
+ * - { type: 'token', source, text }              answer text as the model generates it
+ *                                                (source: 'rag' or 'direct')
+ * - { type: 'chart', chartConfig }               chart configuration is ready
+ * - { type: 'final', state }                     final state, same as runAgentGraph()
+ *                                                (including metadata.modelCalls and metadata.usage)
+ *
+ * The final answer can differ from the streamed tokens: citations of unknown
+ * documents are stripped and the groundedness check may regenerate or
+ * downgrade it.
+ * @param {string} query - User's query
+ * @param {Object} options - Same options as runAgentGraph()
+ * @returns {AsyncGenerator<Object>} Events
+ */
+export async function* streamAgentGraph(query, options = {}) {
+  const app = createAgentGraph({ checkpointer: options.checkpointer });
+  const config = createRunConfig(options);
+  let rootRunId = null;
+  
+  // Each step runs inside the tracker, so the graph work it starts counts its model calls
+  const tracker = createCallTracker();
+  const events = tracker.run(() => app.streamEvents(createInitialState(query, options), { ...config, version: 'v2' })[Symbol.asyncIterator]());
+  
+  while (true) {
+    const { value: event, done } = await tracker.run(() => events.next());
+    if (done) {
+      break;
+    }
+    rootRunId = rootRunId ?? event.run_id;
+    const isNode = GRAPH_NODES.includes(event.name) && event.metadata?.langgraph_node === event.name;
+    
+    if (event.event === 'on_chain_start' && isNode) {
+      yield { type: 'node_start', node: event.name };
+    } else if (event.event === 'on_chain_end' && isNode) {
+      yield { type: 'node_end', node: event.name };
+    } else if (event.event === 'on_chain_end' && event.run_id === rootRunId) {
+      yield { type: 'final', state: await withModelCalls(event.data.output, tracker.stats) };
+    } else if (event.event === 'on_custom_event') {
+      if (event.name === EVENTS.ANSWER_TOKEN) {
+        yield { type: 'token', source: event.data.source, text: event.data.text };
+      } else if (event.name === EVENTS.SOURCES) {
+        yield { type: 'sources', references: event.data.references };
+      } else if (event.name === EVENTS.CHART) {
+        yield { type: 'chart', chartConfig: event.data.chartConfig };
+      }
+    }
+  }
+}
+
 /**
  * Test the LangGraph implementation with various scenarios
  */
@@ -238,12 +650,6 @@ async function testAgentGraph() {
         hasChart: result.chartConfig !== null,
       });
       
-      // Wait between tests to avoid rate limiting
-      if (i < testCases.length - 1) {
-        console.log('⏳ Waiting 2 seconds before next test...\n');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-      
     } catch (error) {
       console.error('❌ TEST FAILED:', error.message);
       results.push({
@@ -287,6 +693,7 @@ async function testAgentGraph() {
 export default {
   createAgentGraph,
   runAgentGraph,
+  streamAgentGraph,
   testAgentGraph,
   AgentState,
 };
@@ -1,7 +1,25 @@
 #!/usr/bin/env node
 
-import { runAgentGraph } from './graph/agent-graph.js';
+import { runAgentGraph, streamAgentGraph } from './graph/agent-graph.js';
+import { getRetriever } from './retrieval/retriever.js';
+import { normalizeFilters, describeFilters } from './retrieval/filters.js';
+import { closeClient } from './database/connection.js';
+import { getCheckpointer } from './memory/checkpointer.js';
+import {
+  createSession,
+  saveSession,
+  listSessions,
+  findSession,
+  deleteSession,
+  addTurn,
+  sessionHistory,
+} from './memory/sessions.js';
+import { recordFeedback } from './feedback/feedback-store.js';
+import { getAnswerCache } from './cache/answer-cache.js';
+import { checkConfig, printConfig } from './config/config.js';
+import { getUsage, formatUsageReport } from './usage/usage-store.js';
 import readline from 'readline';
+import { randomUUID } from 'crypto';
 
 /**
  * Main Application Entry Point
@@ -32,28 +50,104 @@ function printBanner() {
 function printHelp() {
   console.log('📚 Available Commands:');
   console.log('  help         - Show this help message');
-  console.log('  tenant <id>  - Switch tenant (tenant1, tenant2, tenant3)');
+  console.log('  tenants      - List available tenants');
+  console.log('  tenant <id>  - Switch tenant');
+  console.log('  filter       - Show the active metadata filters');
+  console.log('  filter <key>=<value> ... - Set filters: fileIds, exclude, tags, source, after, before');
+  console.log('  filter clear - Remove all filters');
+  console.log('  reset        - Forget the conversation and start a new one');
+  console.log('  cache [on|off|clear] - Show cache stats, use or bypass the answer cache, or clear it');
+  console.log('  feedback up|down [correction] [--useful FILE-001,...]');
+  console.log('               - Rate the last answer, optionally with a corrected answer');
+  console.log('  sessions     - List saved sessions');
+  console.log('  session      - Show the current session');
+  console.log('  session new [name]          - Start a new session');
+  console.log('  session resume <id|name>    - Resume a saved session');
+  console.log('  session rename <name>       - Rename the current session');
+  console.log('  session delete <id|name>    - Delete a saved session');
   console.log('  clear        - Clear the screen');
   console.log('  exit         - Exit the application');
   console.log('\n💡 Example Queries:');
-  console.log('  • "What is the capital of France?"');
+  console.log('  • "What is the capital of France?" then "And what about its population?"');
   console.log('  • "Create a bar chart showing: Jan 100, Feb 150, Mar 120"');
   console.log('  • "Tell me about photosynthesis and show a pie chart"');
   console.log('  • "Hello, how are you?"');
+  console.log('  • "Only search FILE-002: how do plants make food?"');
+  console.log('\n💡 Example Filters:');
+  console.log('  filter fileIds=FILE-002,FILE-003');
+  console.log('  filter tags=finance source=markdown after=2025-07-01');
   console.log('\n');
 }
 
+/**
+ * Print the summary of a chart configuration
+ * @param {Object} chartConfig - Chart.js configuration
+ */
+function printChartSummary(chartConfig) {
+  console.log('\n📊 Chart Configuration:');
+  console.log(`  Type: ${chartConfig.type}`);
+  console.log(`  Title: ${chartConfig.options.plugins.title.text}`);
+  console.log(`  Labels: ${chartConfig.data.labels.join(', ')}`);
+  console.log(`  Data Points: ${chartConfig.data.datasets[0].data.join(', ')}`);
+  console.log('\n  ℹ️  Full Chart.js config available in response object');
+}
+
 /**
  * Format and display the response
+ * @param {Object} result - Final graph state
+ * @param {Object} options - Display options
+ * @param {string} options.streamedAnswer - Answer text already streamed to the terminal
+ * @param {boolean} options.chartShown - The chart summary was already printed
  */
-function displayResponse(result) {
+function displayResponse(result, options = {}) {
+  const { streamedAnswer = '', chartShown = false } = options;
+  
   console.log('\n' + '─'.repeat(70));
   console.log('📤 RESPONSE:');
   console.log('─'.repeat(70));
   
-  // Answer
-  console.log('\n💬 Answer:');
-  console.log(result.answer);
+  if (result.metadata?.condensedQuery) {
+    console.log(`\n📝 Interpreted as: ${result.metadata.condensedQuery}`);
+  }
+  
+  if (result.metadata?.cache?.hit) {
+    const { match, ageSeconds } = result.metadata.cache;
+    console.log(`\n⚡ Answered from cache (${match} match, ${ageSeconds}s old)`);
+  }
+  
+  if (result.metadata?.routing?.error) {
+    console.log(`\n⚠️  Query routing failed, so the knowledge base was searched: ${result.metadata.routing.error.split('\n')[0]}`);
+  }
+  
+  const modelCalls = result.metadata?.modelCalls;
+  if (modelCalls?.retries > 0 || modelCalls?.fallbacks > 0) {
+    console.log(`\n🔁 Model calls: ${modelCalls.retries} retries, ${modelCalls.fallbacks} answered by the fallback model`);
+  }
+  
+  // Answer (reprinted only if checks changed what was streamed)
+  if (!streamedAnswer) {
+    console.log('\n💬 Answer:');
+    console.log(result.answer);
+  } else if (!result.answer.trim().startsWith(streamedAnswer.trim())) {
+    console.log('\n💬 Final answer (revised by citation and groundedness checks):');
+    console.log(result.answer);
+  } else if (result.answer.trim() !== streamedAnswer.trim()) {
+    console.log(`\n${result.answer.trim().slice(streamedAnswer.trim().length).trim()}`);
+  }
+  
+  if (result.metadata?.insufficientEvidence) {
+    console.log('\nℹ️  No sufficiently relevant documents were found in this tenant.');
+  }
+  
+  // Groundedness (if checked)
+  const groundedness = result.metadata?.groundedness;
+  if (groundedness && typeof groundedness.score === 'number') {
+    const action = groundedness.action !== 'none' ? `, ${groundedness.action}` : '';
+    console.log(`\n🧾 Groundedness: ${Math.round(groundedness.score * 100)}% of claims supported${action}`);
+    groundedness.unsupportedSpans.forEach((span) => {
+      console.log(`  ✗ ${span}`);
+    });
+  }
   
   // File IDs (if any)
   if (result.fileIds && result.fileIds.length > 0) {
@@ -67,20 +161,20 @@ function displayResponse(result) {
   if (result.references && result.references.length > 0) {
     console.log('\n📚 References:');
     result.references.forEach((ref, idx) => {
-      console.log(`\n  [${idx + 1}] File: ${ref.fileId}`);
+      const scores = [
+        typeof ref.score === 'number' ? `score ${ref.score.toFixed(3)}` : null,
+        typeof ref.rerankScore === 'number' ? `rerank ${ref.rerankScore.toFixed(2)}` : null,
+      ].filter(Boolean);
+      const score = scores.length > 0 ? ` (${scores.join(', ')})` : '';
+      console.log(`\n  [${idx + 1}] File: ${ref.fileId}${score}`);
       console.log(`      Q: ${ref.question}`);
       console.log(`      A: ${ref.answer.substring(0, 100)}${ref.answer.length > 100 ? '...' : ''}`);
     });
   }
   
   // Chart Config (if any)
-  if (result.chartConfig) {
-    console.log('\n📊 Chart Configuration:');
-    console.log(`  Type: ${result.chartConfig.type}`);
-    console.log(`  Title: ${result.chartConfig.options.plugins.title.text}`);
-    console.log(`  Labels: ${result.chartConfig.data.labels.join(', ')}`);
-    console.log(`  Data Points: ${result.chartConfig.data.datasets[0].data.join(', ')}`);
-    console.log('\n  ℹ️  Full Chart.js config available in response object');
+  if (result.chartConfig && !chartShown) {
+    printChartSummary(result.chartConfig);
   }
   
   // Error (if any)
@@ -91,19 +185,211 @@ function displayResponse(result) {
   console.log('\n' + '─'.repeat(70) + '\n');
 }
 
+/**
+ * Run a query through the graph, printing sources, answer tokens and the chart
+ * as soon as they are available, then the full response
+ * @param {string} query - User's query
+ * @param {Object} options - Graph options (tenant, filters, threadId, history)
+ * @returns {Promise<Object>} Final graph state
+ */
+async function streamResponse(query, options) {
+  let streamedAnswer = '';
+  let chartShown = false;
+  let finalState = null;
+  
+  for await (const event of streamAgentGraph(query, options)) {
+    if (event.type === 'node_start') {
+      console.log(`\n▶️  ${event.node} started`);
+    } else if (event.type === 'node_end') {
+      console.log(`\n⏹️  ${event.node} finished`);
+    } else if (event.type === 'sources') {
+      console.log(`\n📚 Sources: ${event.references.map(ref => ref.fileId).join(', ')}`);
+    } else if (event.type === 'token') {
+      if (!streamedAnswer) {
+        process.stdout.write('\n💬 Answer:\n');
+      }
+      process.stdout.write(event.text);
+      streamedAnswer += event.text;
+    } else if (event.type === 'chart') {
+      printChartSummary(event.chartConfig);
+      chartShown = true;
+    } else if (event.type === 'final') {
+      finalState = event.state;
+    }
+  }
+  
+  if (streamedAnswer) {
+    process.stdout.write('\n');
+  }
+  displayResponse(finalState, { streamedAnswer, chartShown });
+  return finalState;
+}
+
+/**
+ * List the tenants of the active retriever backend
+ * @returns {Promise<Array>} [{ name, activityStatus }]
+ */
+async function listTenants() {
+  const retriever = await getRetriever();
+  return retriever.listTenants();
+}
+
+// Short names accepted by the filter command
+const FILTER_ALIASES = {
+  fileId: 'fileIds',
+  fileIds: 'fileIds',
+  exclude: 'excludeFileIds',
+  excludeFileIds: 'excludeFileIds',
+  tag: 'tags',
+  tags: 'tags',
+  source: 'sourceTypes',
+  sourceTypes: 'sourceTypes',
+  after: 'createdAfter',
+  createdAfter: 'createdAfter',
+  before: 'createdBefore',
+  createdBefore: 'createdBefore',
+};
+
+/**
+ * Parse "key=value" arguments of the filter command into a filter spec
+ * @param {string[]} args - Arguments, e.g. ['fileIds=FILE-002', 'after=2025-07-01']
+ * @returns {Object} Filter spec (see retrieval/filters.js)
+ * @throws {Error} On malformed arguments or unknown keys
+ */
+function parseFilterArgs(args) {
+  const spec = {};
+  for (const arg of args) {
+    const [key, ...rest] = arg.split('=');
+    const field = FILTER_ALIASES[key];
+    if (!field || rest.length === 0) {
+      throw new Error(`Invalid filter "${arg}". Use key=value with key one of: fileIds, exclude, tags, source, after, before`);
+    }
+    spec[field] = rest.join('=');
+  }
+  return spec;
+}
+
+/**
+ * Close shared connections and exit
+ * @param {number} code - Process exit code
+ */
+async function shutdown(code = 0) {
+  await closeClient();
+  process.exit(code);
+}
+
+/**
+ * Parse the arguments of the feedback command
+ * @param {string[]} args - Words after "feedback"
+ * @returns {Object} { rating, correction, usefulReferences }
+ */
+function parseFeedbackArgs(args) {
+  const [rating, ...rest] = args;
+  const usefulIdx = rest.indexOf('--useful');
+  const usefulReferences = usefulIdx !== -1
+    ? (rest[usefulIdx + 1] || '').split(',').map(id => id.trim()).filter(Boolean)
+    : [];
+  const correction = (usefulIdx !== -1 ? [...rest.slice(0, usefulIdx), ...rest.slice(usefulIdx + 2)] : rest).join(' ');
+  return { rating, correction, usefulReferences };
+}
+
+/**
+ * Print a saved session's transcript
+ * @param {Object} session - Session
+ * @param {number} limit - Number of most recent turns to show
+ */
+function printTranscript(session, limit = 5) {
+  const turns = session.turns.slice(-limit);
+  if (session.turns.length > turns.length) {
+    console.log(`  … ${session.turns.length - turns.length} earlier turn(s)`);
+  }
+  turns.forEach((turn) => {
+    console.log(`\n🧑 ${turn.query}`);
+    console.log(`💬 ${turn.answer}`);
+    if (turn.fileIds.length > 0) {
+      console.log(`📚 Sources: ${turn.fileIds.join(', ')}`);
+    }
+    if (turn.chartConfig) {
+      printChartSummary(turn.chartConfig);
+    }
+  });
+  console.log('');
+}
+
+/**
+ * Print a one-line description of a session
+ * @param {Object} session - Session
+ * @param {boolean} current - Whether it is the active session
+ */
+function printSessionLine(session, current = false) {
+  const marker = current ? '*' : ' ';
+  const updated = session.updatedAt.slice(0, 16).replace('T', ' ');
+  console.log(`  ${marker} ${session.id}  ${session.name}  (${session.turns.length} turn(s), ${session.tenant}, updated ${updated})`);
+}
+
+/**
+ * Print the saved sessions
+ * @param {Array} sessions - Sessions (see listSessions)
+ * @param {string} currentId - ID of the active session, if any
+ */
+function printSessionList(sessions, currentId = null) {
+  console.log('💾 Sessions:');
+  if (sessions.length === 0) {
+    console.log('  (none saved yet)');
+  }
+  sessions.forEach(saved => printSessionLine(saved, saved.id === currentId));
+  console.log('');
+}
+
 /**
  * Interactive mode
+ * @param {Object} options - Mode options
+ * @param {boolean} options.stream - Stream answers as they are generated (default: true)
+ * @param {Object} options.session - Saved session to resume (see findSession)
  */
-async function interactiveMode() {
-  let currentTenant = 'tenant1';
+async function interactiveMode(options = {}) {
+  const { stream = true } = options;
+  let session = options.session || createSession();
+  session.filters = normalizeFilters(session.filters);
+  
+  // The conversation history is rebuilt from the transcript if the checkpointer lost the thread
+  let restoreHistory = session.turns.length > 0;
+  
+  // Last response, for the feedback command
+  let lastResponse = null;
+  let useCache = true;
   
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
-    prompt: `[${currentTenant}] > `,
+    prompt: `[${session.tenant}] > `,
   });
   
+  /**
+   * Switch to another session
+   * @param {Object} next - Session
+   */
+  const switchSession = (next) => {
+    session = next;
+    session.filters = normalizeFilters(session.filters);
+    restoreHistory = session.turns.length > 0;
+    rl.setPrompt(`[${session.tenant}] > `);
+  };
+  
+  /**
+   * Save the session once it has content (empty sessions are not kept)
+   */
+  const persistSession = async () => {
+    if (session.turns.length > 0) {
+      await saveSession(session);
+    }
+  };
+  
   console.log('🤖 Interactive mode started. Type "help" for commands or "exit" to quit.\n');
+  if (options.session) {
+    console.log(`📂 Resumed session "${session.name}" (${session.id})`);
+    printTranscript(session);
+  }
   rl.prompt();
   
   rl.on('line', async (line) => {
@@ -116,9 +402,8 @@ async function interactiveMode() {
     
     // Handle commands
     if (input === 'exit' || input === 'quit') {
-      console.log('\n👋 Goodbye!\n');
       rl.close();
-      process.exit(0);
+      return;
     }
     
     if (input === 'help') {
@@ -127,15 +412,163 @@ async function interactiveMode() {
       return;
     }
     
+    if (input === 'tenants') {
+      try {
+        const tenants = await listTenants();
+        console.log('📂 Tenants:');
+        tenants.forEach(tenant => {
+          const marker = tenant.name === session.tenant ? '*' : ' ';
+          console.log(`  ${marker} ${tenant.name} (${tenant.activityStatus})`);
+        });
+        console.log('');
+      } catch (error) {
+        console.error('❌ Could not list tenants:', error.message, '\n');
+      }
+      rl.prompt();
+      return;
+    }
+    
     if (input.startsWith('tenant ')) {
       const newTenant = input.split(' ')[1];
-      if (['tenant1', 'tenant2', 'tenant3'].includes(newTenant)) {
-        currentTenant = newTenant;
-        console.log(`✅ Switched to ${currentTenant}\n`);
+      try {
+        const tenants = await listTenants();
+        const tenant = tenants.find(t => t.name === newTenant);
+        if (!tenant) {
+          const available = tenants.map(t => t.name).join(', ');
+          console.log(`❌ Unknown tenant "${newTenant}". Available: ${available || 'none'}\n`);
+        } else if (tenant.activityStatus !== 'ACTIVE') {
+          console.log(`❌ Tenant "${newTenant}" is ${tenant.activityStatus}. Activate it with: npm run tenants -- activate ${newTenant}\n`);
+        } else {
+          session.tenant = newTenant;
+          await persistSession();
+          console.log(`✅ Switched to ${session.tenant}\n`);
+        }
+      } catch (error) {
+        console.error('❌ Could not validate tenant:', error.message, '\n');
+      }
+      rl.setPrompt(`[${session.tenant}] > `);
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'filter' || input.startsWith('filter ')) {
+      const args = input.split(/\s+/).slice(1);
+      try {
+        if (args.length === 1 && args[0] === 'clear') {
+          session.filters = null;
+        } else if (args.length > 0) {
+          session.filters = normalizeFilters({ ...session.filters, ...parseFilterArgs(args) });
+        }
+        await persistSession();
+        console.log(`🔎 Filters: ${describeFilters(session.filters)}\n`);
+      } catch (error) {
+        console.error('❌', error.message, '\n');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'feedback' || input.startsWith('feedback ')) {
+      try {
+        if (!lastResponse) {
+          throw new Error('Ask a question first; feedback applies to the last answer');
+        }
+        const entry = await recordFeedback(lastResponse.tenant, {
+          query: lastResponse.query,
+          condensedQuery: lastResponse.result.metadata?.condensedQuery || null,
+          answer: lastResponse.result.answer,
+          fileIds: lastResponse.result.fileIds,
+          ...parseFeedbackArgs(input.split(/\s+/).slice(1)),
+        });
+        const review = entry.correction ? ' The correction is pending review (npm run feedback).' : '';
+        console.log(`🙏 Feedback ${entry.id} saved.${review}\n`);
+      } catch (error) {
+        console.error('❌', error.message, '\n');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'cache' || input.startsWith('cache ')) {
+      const action = input.split(/\s+/)[1];
+      const cache = getAnswerCache();
+      if (!cache) {
+        console.log('ℹ️  The answer cache is disabled (RAG_CACHE=off)\n');
+      } else if (action === 'on' || action === 'off') {
+        useCache = action === 'on';
+        console.log(`⚡ Answer cache ${useCache ? 'enabled' : 'bypassed'} for this session\n`);
+      } else if (action === 'clear') {
+        cache.invalidate();
+        console.log('🧹 Answer cache cleared\n');
       } else {
-        console.log('❌ Invalid tenant. Use: tenant1, tenant2, or tenant3\n');
+        const stats = cache.stats();
+        const entries = Object.entries(stats.entries).map(([tenant, count]) => `${tenant}: ${count}`).join(', ');
+        console.log(`⚡ Answer cache ${useCache ? 'on' : 'bypassed'}: ${stats.hits} hit(s), ${stats.misses} miss(es), entries ${entries || 'none'}\n`);
+      }
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'reset') {
+      try {
+        await getCheckpointer().deleteThread(session.threadId);
+      } catch (error) {
+        console.error('⚠️  Could not delete the conversation:', error.message);
+      }
+      session.threadId = randomUUID();
+      session.turns = [];
+      restoreHistory = false;
+      await saveSession(session).catch(error => console.error('⚠️  Could not save the session:', error.message));
+      console.log('🧹 Conversation reset\n');
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'sessions') {
+      try {
+        printSessionList(await listSessions(), session.id);
+      } catch (error) {
+        console.error('❌ Could not list sessions:', error.message, '\n');
+      }
+      rl.prompt();
+      return;
+    }
+    
+    if (input === 'session' || input.startsWith('session ')) {
+      const [, action, ...rest] = input.split(/\s+/);
+      const arg = rest.join(' ');
+      try {
+        if (!action) {
+          printSessionLine(session, true);
+          console.log(`  🔎 Filters: ${describeFilters(session.filters)}\n`);
+        } else if (action === 'new') {
+          await persistSession();
+          switchSession(createSession({ name: arg || undefined, tenant: session.tenant }));
+          console.log(`🆕 Started session "${session.name}" (${session.id})\n`);
+        } else if (action === 'resume' && arg) {
+          await persistSession();
+          switchSession(await findSession(arg));
+          console.log(`📂 Resumed session "${session.name}" (${session.id})`);
+          printTranscript(session);
+        } else if (action === 'rename' && arg) {
+          session.name = arg;
+          await saveSession(session);
+          console.log(`✏️  Session renamed to "${session.name}"\n`);
+        } else if (action === 'delete' && arg) {
+          const target = arg === session.id ? session : await findSession(arg);
+          await deleteSession(target.id);
+          await getCheckpointer().deleteThread(target.threadId).catch(() => {});
+          console.log(`🗑️  Deleted session "${target.name}" (${target.id})\n`);
+          if (target.id === session.id) {
+            switchSession(createSession({ tenant: session.tenant }));
+            console.log(`🆕 Started session "${session.name}" (${session.id})\n`);
+          }
+        } else {
+          console.log('❌ Usage: session [new [name] | resume <id|name> | rename <name> | delete <id|name>]\n');
+        }
+      } catch (error) {
+        console.error('❌', error.message, '\n');
       }
-      rl.setPrompt(`[${currentTenant}] > `);
       rl.prompt();
       return;
     }
@@ -150,8 +583,30 @@ async function interactiveMode() {
     // Process as query
     try {
       console.log('\n⚙️  Processing your query...\n');
-      const result = await runAgentGraph(input, { tenant: currentTenant });
-      displayResponse(result);
+      const graphOptions = {
+        tenant: session.tenant,
+        filters: session.filters,
+        threadId: session.threadId,
+        cache: useCache,
+      };
+      if (restoreHistory && !(await getCheckpointer().getTuple({ configurable: { thread_id: session.threadId } }))) {
+        graphOptions.history = sessionHistory(session);
+      }
+      restoreHistory = false;
+      
+      let result;
+      if (stream) {
+        result = await streamResponse(input, graphOptions);
+      } else {
+        result = await runAgentGraph(input, graphOptions);
+        displayResponse(result);
+      }
+      
+      if (result) {
+        lastResponse = { query: input, tenant: session.tenant, result };
+        addTurn(session, input, result);
+        await saveSession(session);
+      }
     } catch (error) {
       console.error('❌ Error:', error.message);
       console.log('\n');
@@ -162,7 +617,7 @@ async function interactiveMode() {
   
   rl.on('close', () => {
     console.log('\n👋 Goodbye!\n');
-    process.exit(0);
+    shutdown(0);
   });
 }
 
@@ -170,38 +625,88 @@ async function interactiveMode() {
  * Main function
  */
 async function main() {
-  printBanner();
-  
   // Check command line arguments
   const args = process.argv.slice(2);
   
+  if (args[0] === 'config') {
+    // Validate the configuration without starting the agent
+    if (args[1] && args[1] !== 'check') {
+      console.error(`❌ Unknown config command "${args[1]}". Use: config check`);
+      process.exit(1);
+    }
+    const report = checkConfig();
+    printConfig(report);
+    process.exit(report.ok ? 0 : 1);
+  }
+  
+  if (args[0] === 'usage') {
+    // Print recorded token usage and cost: usage [tenant] [--from day] [--to day] [--type t] [--format table|csv|json]
+    const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+    const tenant = args[1] && !args[1].startsWith('--') ? args[1] : null;
+    try {
+      const report = await getUsage({ tenant, from: option('--from'), to: option('--to'), type: option('--type') });
+      console.log(formatUsageReport(report, option('--format')));
+      process.exit(0);
+    } catch (error) {
+      console.error('❌', error.message);
+      process.exit(1);
+    }
+  }
+  
+  printBanner();
+  
   if (args.includes('--help') || args.includes('-h')) {
     // Show help
     console.log('Usage: node src/index.js [options]\n');
     console.log('Options:');
     console.log('  --help, -h     Show this help message');
+    console.log('  --no-stream    Print answers only once they are complete');
+    console.log('  --session <id> Resume a saved session (id or name)');
+    console.log('  config check   Validate the configuration (secrets are redacted)');
+    console.log('  usage [tenant] Token usage and cost per day (--from, --to YYYY-MM-DD; --type query|ingest;');
+    console.log('                 --format table|csv|json)');
     console.log('  (no args)      Start interactive mode\n');
     printHelp();
   } else {
     // Interactive mode
-    await interactiveMode();
+    const sessionIdx = args.indexOf('--session');
+    if (sessionIdx !== -1 && !args[sessionIdx + 1]) {
+      console.error('❌ --session needs a session id or name');
+      await shutdown(1);
+    }
+    let session = null;
+    if (sessionIdx !== -1) {
+      try {
+        session = await findSession(args[sessionIdx + 1]);
+      } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printSessionList(await listSessions().catch(() => []));
+        await shutdown(1);
+      }
+    }
+    await interactiveMode({
+      stream: !args.includes('--no-stream'),
+      session,
+    });
   }
 }
 
 // Handle errors
 process.on('unhandledRejection', (error) => {
   console.error('\n❌ Unhandled error:', error.message);
-  process.exit(1);
+  shutdown(1);
 });
 
 process.on('SIGINT', () => {
   console.log('\n\n👋 Goodbye!\n');
-  process.exit(0);
+  shutdown(0);
 });
 
+process.on('SIGTERM', () => shutdown(0));
+
 // Run the application
 main().catch((error) => {
   console.error('❌ Fatal error:', error);
-  process.exit(1);
+  shutdown(1);
 });
 
@@ -0,0 +1,89 @@
+/**
+ * Text Chunker
+ *
+ * Splits long text into chunks that fit comfortably into one Q&A answer.
+ * Paragraph boundaries are preferred, then sentence boundaries; a short
+ * overlap is carried into the next chunk so context is not cut mid-thought.
+ */
+
+/**
+ * Split text into sentences (keeps the terminating punctuation)
+ * @param {string} text - Text to split
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g)?.map(s => s.trim()).filter(Boolean) || [text];
+}
+
+/**
+ * Take the tail of a chunk to prepend to the next one
+ * @param {string} chunk - Previous chunk
+ * @param {number} overlap - Maximum overlap in characters
+ * @returns {string} Overlap text, starting at a word boundary
+ */
+function tail(chunk, overlap) {
+  if (overlap <= 0 || chunk.length <= overlap) {
+    return '';
+  }
+  const slice = chunk.slice(-overlap);
+  const firstSpace = slice.indexOf(' ');
+  return firstSpace === -1 ? slice : slice.slice(firstSpace + 1);
+}
+
+/**
+ * Chunk text by paragraphs and sentences
+ * @param {string} text - Text to chunk
+ * @param {Object} options - Chunking options
+ * @param {number} options.maxChars - Maximum characters per chunk (default: 1200)
+ * @param {number} options.overlap - Characters carried over between chunks (default: 150)
+ * @returns {string[]} Chunks
+ */
+export function chunkText(text, options = {}) {
+  const { maxChars = 1200, overlap = 150 } = options;
+  const normalized = text.replace(/\r\n/g, '\n').trim();
+
+  if (normalized.length <= maxChars) {
+    return normalized ? [normalized] : [];
+  }
+
+  // Break into units no longer than maxChars: paragraphs, else sentences, else hard splits
+  const units = [];
+  for (const paragraph of normalized.split(/\n\s*\n/)) {
+    const clean = paragraph.trim();
+    if (!clean) {
+      continue;
+    }
+    if (clean.length <= maxChars) {
+      units.push(clean);
+      continue;
+    }
+    for (const sentence of splitSentences(clean)) {
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        units.push(sentence.slice(i, i + maxChars));
+      }
+    }
+  }
+
+  // Greedily pack units into chunks
+  const chunks = [];
+  let current = '';
+  for (const unit of units) {
+    const candidate = current ? `${current}\n\n${unit}` : unit;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+    chunks.push(current);
+    const carried = tail(current, Math.min(overlap, maxChars - unit.length - 1));
+    current = carried ? `${carried} ${unit}` : unit;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+export default {
+  chunkText,
+};
@@ -0,0 +1,367 @@
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { generateUuid5 } from 'weaviate-client';
+import { getClient, closeClient } from '../database/connection.js';
+import { createTenant } from '../database/tenants.js';
+import { bumpDataVersion } from '../database/data-versions.js';
+import { embedDocuments, qaEmbeddingText } from '../llm/embeddings.js';
+import { createCallTracker } from '../llm/resilience.js';
+import { summarizeUsage } from '../usage/usage.js';
+import { recordUsage } from '../usage/usage-store.js';
+import { detectFormat, loadDocument, FORMATS } from './loaders.js';
+import { buildQAPairs } from './qa-builder.js';
+
+/**
+ * Document Ingestion Pipeline
+ *
+ * Files → load (Markdown, text, CSV, JSONL, PDF text) → chunk → Q&A pairs
+ *       → embed → batch insert into QACollection for one tenant
+ *
+ * Every entry stores the `source` path and the `contentHash` of its file.
+ * The source is relative to the project root (or --source-root), not to the
+ * working directory, so it is unique within a tenant and the same from
+ * anywhere; the fileIds of text chunks are derived from it. Re-running the
+ * pipeline skips files whose hash is unchanged and replaces all entries of
+ * files that changed, so ingestion is idempotent. The `createdAt` timestamp of a file's entries survives
+ * updates.
+ *
+ * The tokens of question generation are recorded for the tenant as an
+ * "ingest" request (see usage/usage-store.js).
+ */
+
+/**
+ * Expand files and directories into the list of supported files
+ * @param {string[]} inputPaths - Files and/or directories
+ * @param {Object} options - { format }: with a forced format every file is included, whatever its extension
+ * @returns {Promise<string[]>} Supported files, sorted
+ */
+export async function collectFiles(inputPaths, options = {}) {
+  const files = [];
+
+  for (const inputPath of inputPaths) {
+    const info = await stat(inputPath);
+
+    if (info.isDirectory()) {
+      const entries = await readdir(inputPath);
+      const nested = await collectFiles(
+        entries
+          .filter(entry => !entry.startsWith('.'))
+          .map(entry => path.join(inputPath, entry)),
+        options
+      );
+      files.push(...nested);
+    } else if (options.format || detectFormat(inputPath)) {
+      files.push(inputPath);
+    } else {
+      console.log(`⚠️  Skipping unsupported file: ${inputPath}`);
+    }
+  }
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Deterministic object id of an entry, so re-inserting a fileId overwrites it
+ * @param {string} tenant - Tenant name
+ * @param {Object} entry - Q&A entry
+ * @returns {string} UUID
+ */
+function entryUuid(tenant, entry) {
+  return generateUuid5(`${tenant}:${entry.fileId}`);
+}
+
+/**
+ * Insert entries in batches, computing embeddings per batch
+ * @param {Object} tenantCollection - Tenant scoped collection
+ * @param {string} tenant - Tenant name (part of the deterministic object id)
+ * @param {Array} entries - Q&A entries
+ * @param {number} batchSize - Objects per batch
+ * @returns {Promise<number>} Number of inserted objects
+ */
+export async function insertEntries(tenantCollection, tenant, entries, batchSize) {
+  let inserted = 0;
+
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    const vectors = await embedDocuments(batch.map(qaEmbeddingText));
+
+    const result = await tenantCollection.data.insertMany(
+      batch.map((entry, idx) => ({
+        id: entryUuid(tenant, entry),
+        properties: entry,
+        vectors: vectors[idx],
+      }))
+    );
+
+    if (result.hasErrors) {
+      const messages = Object.values(result.errors).map(error => error.message);
+      throw new Error(`Batch insert failed for ${messages.length} objects: ${messages[0]}`);
+    }
+
+    inserted += batch.length;
+  }
+
+  return inserted;
+}
+
+/**
+ * Ingest files into QACollection for a tenant
+ * @param {string[]} inputPaths - Files and/or directories to ingest
+ * @param {Object} options - Ingestion options
+ * @param {string} options.tenant - Target tenant (required)
+ * @param {string} options.format - Force a format for all files, whatever their extension
+ * @param {string} options.sourceRoot - Directory sources are relative to (default: the project root)
+ * @param {boolean} options.generateQuestions - Generate questions for text chunks with the LLM
+ * @param {number} options.maxChars - Maximum characters per chunk (positive)
+ * @param {number} options.overlap - Characters carried over between chunks (zero or more)
+ * @param {number} options.batchSize - Objects per insert batch (default: 50)
+ * @param {string[]} options.tags - Default tags for all entries
+ * @param {string} options.sourceUrl - Default source URL for all entries
+ * @param {string} options.language - Default language code for all entries
+ * @param {boolean} options.force - Re-ingest files even when their content hash is unchanged
+ * @returns {Promise<Object>} Summary: { files, added, updated, skipped, failed, entries, usage }, usage being the
+ *   tokens and cost of question generation (see usage/usage.js summarizeUsage)
+ * @throws {Error} If the tenant is missing, the format is unknown or a size option is not a valid number
+ */
+export async function ingestDocuments(inputPaths, options = {}) {
+  const {
+    tenant,
+    format,
+    sourceRoot,
+    generateQuestions = false,
+    maxChars,
+    overlap,
+    batchSize = 50,
+    tags,
+    sourceUrl,
+    language,
+    force = false,
+  } = options;
+
+  if (!tenant) {
+    throw new Error('A tenant is required for ingestion');
+  }
+  if (format && !FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  // A chunk size or batch size of 0 would never advance
+  [['maxChars', maxChars, 1], ['overlap', overlap, 0], ['batchSize', batchSize, 1]].forEach(([name, value, min]) => {
+    if (value !== undefined && !(Number.isInteger(value) && value >= min)) {
+      throw new Error(`${name} must be a whole number of at least ${min}, got ${value}`);
+    }
+  });
+
+  const files = await collectFiles(inputPaths, { format });
+  const summary = { files: files.length, added: 0, updated: 0, skipped: 0, failed: 0, entries: 0 };
+
+  // Only load the chat model when questions are generated, so plain
+  // ingestion works with local embeddings and no chat model
+  let model = null;
+  const tracker = createCallTracker();
+  if (generateQuestions) {
+    const { getChatModel } = await import('../llm/models.js');
+    model = await getChatModel('questions', { temperature: 0.2 });
+  }
+
+  const { created } = await createTenant(tenant, { ifNotExists: true });
+  if (created) {
+    console.log(`✅ Created tenant: ${tenant}`);
+  }
+
+  const client = await getClient();
+  const collection = client.collections.get('QACollection');
+  const tenantCollection = collection.withTenant(tenant);
+  let changed = false;
+
+  for (const file of files) {
+    try {
+      const document = await loadDocument(file, { format, root: sourceRoot });
+      const sourceFilter = tenantCollection.filter.byProperty('source').equal(document.source);
+
+      const existing = await tenantCollection.query.fetchObjects({
+        filters: sourceFilter,
+        limit: 10000,
+        returnProperties: ['contentHash', 'createdAt'],
+      });
+      const existingObjects = existing.objects;
+
+      if (
+        !force &&
+        existingObjects.length > 0 &&
+        existingObjects.every(obj => obj.properties.contentHash === document.contentHash)
+      ) {
+        console.log(`⏭️  Unchanged: ${document.source}`);
+        summary.skipped++;
+        continue;
+      }
+
+      const entries = await tracker.run(() => buildQAPairs(document, {
+        model,
+        maxChars,
+        overlap,
+        metadata: { tags, sourceUrl, language },
+      }));
+
+      // Keep the original creation time of updated files
+      const now = new Date();
+      const createdAt = existingObjects
+        .map(obj => obj.properties.createdAt)
+        .filter(Boolean)
+        .map(date => new Date(date))
+        .sort((a, b) => a - b)[0] || now;
+      entries.forEach((entry) => {
+        entry.createdAt = createdAt;
+        entry.updatedAt = now;
+      });
+
+      // Insert before deleting, so a failed insert leaves the previous
+      // entries in place (same fileIds are overwritten, the hash mismatch
+      // makes the next run retry)
+      changed = true;
+      const inserted = await insertEntries(tenantCollection, tenant, entries, batchSize);
+      summary.entries += inserted;
+
+      const keptIds = new Set(entries.map(entry => entryUuid(tenant, entry)));
+      const staleIds = existingObjects.map(obj => obj.uuid).filter(uuid => !keptIds.has(uuid));
+      if (staleIds.length > 0) {
+        await tenantCollection.data.deleteMany(tenantCollection.filter.byId().containsAny(staleIds));
+      }
+
+      if (existingObjects.length > 0) {
+        console.log(`🔄 Updated: ${document.source} (${inserted} entries)`);
+        summary.updated++;
+      } else {
+        console.log(`✅ Added: ${document.source} (${inserted} entries)`);
+        summary.added++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to ingest ${file}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  // Drops the tenant's cached answers (see database/data-versions.js)
+  if (changed) {
+    await bumpDataVersion([tenant]);
+  }
+
+  summary.usage = summarizeUsage(tracker.stats.usage);
+  try {
+    await recordUsage(tenant, summary.usage, { type: 'ingest' });
+  } catch (error) {
+    console.error('⚠️  Could not record usage:', error.message);
+  }
+
+  return summary;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Parsed options and paths
+ */
+function parseArgs(args) {
+  const options = { paths: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--tenant' || arg === '-t') {
+      options.tenant = args[++i];
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--source-root') {
+      options.sourceRoot = args[++i];
+    } else if (arg === '--generate-questions') {
+      options.generateQuestions = true;
+    } else if (arg === '--max-chars') {
+      options.maxChars = Number(args[++i]);
+    } else if (arg === '--overlap') {
+      options.overlap = Number(args[++i]);
+    } else if (arg === '--batch-size') {
+      options.batchSize = Number(args[++i]);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--tags') {
+      options.tags = args[++i].split(',').map(tag => tag.trim()).filter(Boolean);
+    } else if (arg === '--language') {
+      options.language = args[++i];
+    } else if (arg === '--source-url') {
+      options.sourceUrl = args[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      options.paths.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print CLI usage
+ */
+function printUsage() {
+  console.log('Usage: npm run ingest -- --tenant <tenant> [options] <file|dir> [...]\n');
+  console.log('Options:');
+  console.log('  --tenant, -t <name>     Tenant to ingest into (required)');
+  console.log(`  --format <format>       Force a format for every file (${FORMATS.join(', ')})`);
+  console.log('  --source-root <dir>     Directory source paths are relative to (default: project root)');
+  console.log('  --generate-questions    Generate questions for text chunks with the chat model');
+  console.log('  --max-chars <n>         Maximum characters per chunk (default: 1200)');
+  console.log('  --overlap <n>           Characters carried over between chunks (default: 150)');
+  console.log('  --batch-size <n>        Objects per insert batch (default: 50)');
+  console.log('  --force                 Re-ingest unchanged files (e.g. after switching embeddings)');
+  console.log('  --tags <a,b>            Tags for all entries (rows may add their own)');
+  console.log('  --language <code>       Language code for all entries, e.g. en');
+  console.log('  --source-url <url>      Original URL of the documents');
+  console.log('\nFiles: .md, .txt, .csv, .jsonl and .pdf.txt (text extracted from PDFs)\n');
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !options.tenant || options.paths.length === 0) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+
+  try {
+    console.log(`📥 Ingesting into tenant: ${options.tenant}\n`);
+    const summary = await ingestDocuments(options.paths, options);
+
+    console.log('\n📊 Ingestion summary:');
+    console.log(`  Files:   ${summary.files}`);
+    console.log(`  Added:   ${summary.added}`);
+    console.log(`  Updated: ${summary.updated}`);
+    console.log(`  Skipped: ${summary.skipped}`);
+    console.log(`  Failed:  ${summary.failed}`);
+    console.log(`  Entries: ${summary.entries}`);
+    if (summary.usage.calls > 0) {
+      const { totalTokens, cost, estimated } = summary.usage;
+      console.log(`  Tokens:  ${totalTokens} ($${cost.toFixed(6)}${estimated ? ', estimated' : ''})`);
+    }
+    console.log('');
+
+    await closeClient();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Ingestion failed:', error.message);
+    await closeClient();
+    process.exit(1);
+  }
+}
+
+export default {
+  collectFiles,
+  insertEntries,
+  ingestDocuments,
+};
+
+// Run if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
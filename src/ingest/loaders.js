@@ -0,0 +1,306 @@
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Document Loaders
+ *
+ * Each loader turns the raw file content into a list of records:
+ * - { type: 'qa', question, answer, fileId? }  - ready-made Q&A pairs (CSV, JSONL)
+ * - { type: 'text', text, heading? }           - free text to be chunked (Markdown, text, PDF text)
+ *
+ * CSV/JSONL rows may also carry `tags`, `sourceUrl` (or `url`) and `language`.
+ */
+
+// Sources are relative to the project root unless another root is given
+export const PROJECT_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+// Supported formats and the file extensions mapped to them
+export const FORMATS = ['markdown', 'text', 'csv', 'jsonl', 'pdf-text'];
+
+const EXTENSION_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+};
+
+/**
+ * Detect the format of a file from its name
+ * PDF-extracted text is recognised by the `.pdf.txt` double extension
+ * @param {string} filePath - Path of the file
+ * @returns {string|null} Format name or null if unsupported
+ */
+export function detectFormat(filePath) {
+  const lower = filePath.toLowerCase();
+  if (lower.endsWith('.pdf.txt')) {
+    return 'pdf-text';
+  }
+  return EXTENSION_FORMATS[path.extname(lower)] || null;
+}
+
+/**
+ * Compute the content hash used to detect changed files
+ * @param {string} content - Raw file content
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Split Markdown into sections by heading
+ * Text before the first heading becomes a section without heading
+ * @param {string} content - Markdown content
+ * @returns {Array} Text records
+ */
+function parseMarkdown(content) {
+  const sections = [];
+  let heading = null;
+  let lines = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      sections.push({ type: 'text', heading, text });
+    }
+    lines = [];
+  };
+
+  let inCodeBlock = false;
+  for (const line of content.split(/\r?\n/)) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const match = !inCodeBlock && line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      heading = match[1];
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Parse plain text into a single text record
+ * @param {string} content - Text content
+ * @returns {Array} Text records
+ */
+function parseText(content) {
+  const text = content.trim();
+  return text ? [{ type: 'text', heading: null, text }] : [];
+}
+
+/**
+ * Parse text extracted from a PDF (e.g. with pdftotext)
+ * Pages are separated by form feeds; words hyphenated across lines are re-joined
+ * @param {string} content - Extracted text
+ * @returns {Array} Text records, one per page
+ */
+function parsePdfText(content) {
+  return content
+    .split('\f')
+    .map(page => page
+      .replace(/(\w)-\r?\n(\w)/g, '$1$2')
+      .replace(/[ \t]+/g, ' ')
+      .trim())
+    .filter(Boolean)
+    .map((text, idx) => ({ type: 'text', heading: `Page ${idx + 1}`, text }));
+}
+
+/**
+ * Split a CSV document into rows, honouring quoted fields
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function splitCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read the optional per-row metadata
+ * Tags may be an array (JSONL) or a `;`/`,` separated string (CSV)
+ * @param {Object} row - Parsed row
+ * @returns {Object} { tags?, sourceUrl?, language? }
+ */
+function rowMetadata(row) {
+  const metadata = {};
+
+  if (row.tags) {
+    const tags = Array.isArray(row.tags) ? row.tags : String(row.tags).split(/[;,]/);
+    metadata.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (row.sourceUrl || row.url) {
+    metadata.sourceUrl = String(row.sourceUrl || row.url).trim();
+  }
+  if (row.language) {
+    metadata.language = String(row.language).trim();
+  }
+
+  return metadata;
+}
+
+/**
+ * Turn a row object into a record
+ * Rows with question + answer become Q&A pairs, rows with text/content become text
+ * @param {Object} row - Parsed row
+ * @returns {Object|null} Record or null if the row has no usable content
+ */
+function rowToRecord(row) {
+  const question = row.question ?? row.q;
+  const answer = row.answer ?? row.a;
+
+  if (question && answer) {
+    return {
+      type: 'qa',
+      question: String(question).trim(),
+      answer: String(answer).trim(),
+      fileId: row.fileId ? String(row.fileId).trim() : undefined,
+      ...rowMetadata(row),
+    };
+  }
+
+  const text = row.text ?? row.content;
+  if (text) {
+    return {
+      type: 'text',
+      heading: row.title || row.heading || null,
+      text: String(text).trim(),
+      ...rowMetadata(row),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse CSV with a header row
+ * @param {string} content - CSV content
+ * @returns {Array} Records
+ */
+function parseCsv(content) {
+  const [header, ...rows] = splitCsv(content.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return rows
+    .map(values => Object.fromEntries(columns.map((column, idx) => [column, values[idx] ?? ''])))
+    .map(rowToRecord)
+    .filter(Boolean);
+}
+
+/**
+ * Parse JSON Lines, one object per line
+ * @param {string} content - JSONL content
+ * @param {string} source - Source path, used in error messages
+ * @returns {Array} Records
+ */
+function parseJsonl(content, source) {
+  return content
+    .split(/\r?\n/)
+    .map((line, idx) => {
+      if (!line.trim()) {
+        return null;
+      }
+      try {
+        return rowToRecord(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`${source}:${idx + 1}: invalid JSON (${error.message})`);
+      }
+    })
+    .filter(Boolean);
+}
+
+const PARSERS = {
+  markdown: parseMarkdown,
+  text: parseText,
+  'pdf-text': parsePdfText,
+  csv: parseCsv,
+  jsonl: parseJsonl,
+};
+
+/**
+ * Load a document from disk
+ * @param {string} filePath - Path of the file
+ * @param {Object} options - Loader options
+ * @param {string} options.format - Force a format instead of detecting it from the extension
+ * @param {string} options.root - Directory the source path is relative to (default: the project root),
+ *   so the source is unique within a tenant and doesn't depend on the working directory
+ * @returns {Promise<Object>} { source, format, title, contentHash, records }
+ */
+export async function loadDocument(filePath, options = {}) {
+  const format = options.format || detectFormat(filePath);
+  if (!PARSERS[format]) {
+    throw new Error(`Unsupported file format for ${filePath}. Supported: ${FORMATS.join(', ')}`);
+  }
+
+  const content = await readFile(filePath, 'utf8');
+  const root = path.resolve(options.root || PROJECT_ROOT);
+  const source = path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+
+  return {
+    source,
+    format,
+    title: path.basename(filePath).replace(/(\.pdf)?\.[^.]+$/i, ''),
+    contentHash: hashContent(content),
+    records: PARSERS[format](content, source),
+  };
+}
+
+export default {
+  PROJECT_ROOT,
+  FORMATS,
+  detectFormat,
+  hashContent,
+  loadDocument,
+};
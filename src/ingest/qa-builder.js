@@ -0,0 +1,133 @@
+import { createHash } from 'crypto';
+import { chunkText } from './chunker.js';
+
+/**
+ * Q&A Builder
+ *
+ * Turns loaded documents into QACollection entries:
+ * - Q&A records (CSV/JSONL) are used as-is
+ * - Text records are chunked; each chunk becomes the answer and the question is
+ *   either derived from the heading/title or generated by the LLM
+ */
+
+/**
+ * Build the stable fileId for a chunk of a document
+ * The id only depends on the source path and the chunk position, so re-ingesting
+ * a file yields the same ids
+ * @param {string} source - Source path of the document
+ * @param {number} index - Zero based entry index within the document
+ * @returns {string} fileId, e.g. DOC-1A2B3C4D-001
+ */
+export function buildFileId(source, index) {
+  const sourceHash = createHash('sha1').update(source).digest('hex').slice(0, 8).toUpperCase();
+  return `DOC-${sourceHash}-${String(index + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Derive a question from the heading or document title without calling the LLM
+ * @param {Object} params - Derivation parameters
+ * @returns {string} Question text
+ */
+function deriveQuestion({ heading, title, part, parts }) {
+  if (heading && heading.trim().endsWith('?')) {
+    return heading.trim();
+  }
+  const subject = heading ? `${heading} (${title})` : title;
+  return parts > 1 ? `${subject} - part ${part}` : subject;
+}
+
+/**
+ * Ask the LLM for the question a chunk answers
+ * @param {Object} model - Chat model instance
+ * @param {string} text - Chunk text
+ * @param {string} context - Heading / title of the chunk
+ * @returns {Promise<string|null>} Generated question, or null if generation failed
+ */
+async function generateQuestion(model, text, context) {
+  const prompt = `Write the single question that the following passage answers best.
+
+Context: ${context}
+
+Passage:
+${text}
+
+Respond ONLY with the question, no other text.`;
+
+  try {
+    const response = await model.invoke(prompt);
+    const question = String(response.content).trim().split('\n')[0].replace(/^["'\s]+|["'\s]+$/g, '');
+    return question || null;
+  } catch (error) {
+    console.error('⚠️  Error generating question:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Build QACollection entries for a loaded document
+ * @param {Object} document - Document returned by loadDocument()
+ * @param {Object} options - Build options
+ * @param {Object} options.model - Chat model used to generate questions (omit to derive them)
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @param {number} options.overlap - Characters carried over between chunks
+ * @param {Object} options.metadata - Default tags/sourceUrl/language, overridden per record
+ * @returns {Promise<Array>} Entries with fileId, question, answer, source, sourceType, contentHash,
+ *   chunkIndex and the tags, sourceUrl and language metadata
+ */
+export async function buildQAPairs(document, options = {}) {
+  const { model = null, maxChars, overlap, metadata = {} } = options;
+  const { source, format, title, contentHash, records } = document;
+
+  const entries = [];
+  const seenFileIds = new Set();
+
+  const push = (data, record) => {
+    const chunkIndex = entries.length;
+    const fileId = data.fileId || buildFileId(source, chunkIndex);
+    if (seenFileIds.has(fileId)) {
+      throw new Error(`${source}: duplicate fileId "${fileId}"`);
+    }
+    seenFileIds.add(fileId);
+    entries.push({
+      fileId,
+      question: data.question,
+      answer: data.answer,
+      source,
+      sourceType: format,
+      contentHash,
+      chunkIndex,
+      tags: record.tags ?? metadata.tags ?? [],
+      sourceUrl: record.sourceUrl ?? metadata.sourceUrl ?? '',
+      language: record.language ?? metadata.language ?? '',
+    });
+  };
+
+  for (const record of records) {
+    if (record.type === 'qa') {
+      push(record, record);
+      continue;
+    }
+
+    const chunks = chunkText(record.text, { maxChars, overlap });
+    for (const [idx, chunk] of chunks.entries()) {
+      const derived = deriveQuestion({
+        heading: record.heading,
+        title,
+        part: idx + 1,
+        parts: chunks.length,
+      });
+      const question = model
+        ? (await generateQuestion(model, chunk, derived)) || derived
+        : derived;
+
+      push({ question, answer: chunk }, record);
+    }
+  }
+
+  return entries;
+}
+
+export default {
+  buildFileId,
+  buildQAPairs,
+};
@@ -0,0 +1,135 @@
+import { GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { getConfig, requireSetting } from '../config/config.js';
+
+/**
+ * Embedding providers
+ *
+ * Each provider is a factory that receives the resolved options and returns
+ * a LangChain `Embeddings` instance (anything with `embedQuery` and
+ * `embedDocuments`). New providers can be added with `registerEmbeddingProvider`.
+ */
+const providers = {
+  // Hosted Gemini embeddings (uses the same GOOGLE_API_KEY as the chat model)
+  gemini: ({ modelName = 'text-embedding-004' }) => new GoogleGenerativeAIEmbeddings({
+    model: modelName,
+    apiKey: requireSetting('llm', 'googleApiKey', 'Gemini embeddings'),
+  }),
+
+  // Local CPU model via transformers.js (optional dependency, loaded on first use)
+  local: async ({ modelName = 'Xenova/all-MiniLM-L6-v2' }) => {
+    try {
+      const { HuggingFaceTransformersEmbeddings } = await import(
+        '@langchain/community/embeddings/huggingface_transformers'
+      );
+      await import('@huggingface/transformers');
+      return new HuggingFaceTransformersEmbeddings({ model: modelName });
+    } catch (error) {
+      throw new Error(
+        `Local embeddings require the optional "@huggingface/transformers" package (${error.message})`
+      );
+    }
+  },
+};
+
+// Cache of embedding instances keyed by provider + model
+const instances = new Map();
+
+/**
+ * Register a custom embedding provider
+ * @param {string} name - Provider name used in EMBEDDINGS_PROVIDER or options.provider
+ * @param {Function} factory - (options) => Embeddings | Promise<Embeddings>
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Get an embeddings instance for the configured provider
+ * @param {Object} options - Configuration options
+ * @param {string} options.provider - Provider name (default: EMBEDDINGS_PROVIDER or 'gemini')
+ * @param {string} options.modelName - Provider specific model name (default: EMBEDDINGS_MODEL)
+ * @returns {Promise<Object>} LangChain Embeddings instance
+ */
+export async function getEmbeddings(options = {}) {
+  const config = getConfig('embeddings');
+  const {
+    provider = config.provider,
+    modelName = config.model,
+  } = options;
+
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown embeddings provider "${provider}". Available: ${Object.keys(providers).join(', ')}`
+    );
+  }
+
+  const key = `${provider}:${modelName || 'default'}`;
+  if (!instances.has(key)) {
+    // Store the promise so concurrent callers share one model load
+    const pending = Promise.resolve(factory({ modelName }));
+    pending.catch(() => instances.delete(key));
+    instances.set(key, pending);
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Embed a single query string
+ * @param {string} text - Text to embed
+ * @param {Object} options - Options passed to getEmbeddings
+ * @returns {Promise<number[]>} Embedding vector
+ */
+export async function embedQuery(text, options = {}) {
+  const embeddings = await getEmbeddings(options);
+  return embeddings.embedQuery(text);
+}
+
+/**
+ * Embed a list of documents
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options - Options passed to getEmbeddings
+ * @returns {Promise<number[][]>} Embedding vectors, in input order
+ */
+export async function embedDocuments(texts, options = {}) {
+  const embeddings = await getEmbeddings(options);
+  return embeddings.embedDocuments(texts);
+}
+
+/**
+ * Build the text that is embedded for a Q&A entry
+ * @param {Object} entry - Object with question and answer
+ * @returns {string} Text to embed
+ */
+export function qaEmbeddingText({ question, answer }) {
+  return `Question: ${question}\nAnswer: ${answer}`;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - Vector
+ * @param {number[]} b - Vector
+ * @returns {number} Similarity between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Export for use in other modules
+export default {
+  getEmbeddings,
+  embedQuery,
+  embedDocuments,
+  qaEmbeddingText,
+  cosineSimilarity,
+  registerEmbeddingProvider,
+};
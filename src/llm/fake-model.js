@@ -0,0 +1,199 @@
+import { readFileSync } from 'fs';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Fake Chat Model
+ *
+ * A deterministic chat model for offline runs and tests. Responses come from
+ * a script of rules, checked in order:
+ *   [{ task: 'routing', match: 'chart', response: '{"needsChart": true, ...}' }, ...]
+ * - task:     only applies to models created for this task (see llm/models.js)
+ * - match:    string (case-insensitive regex source) or RegExp tested against the prompt
+ * - response: text, or (prompt, task) => text
+ * - error:    message of an error to throw instead of responding; a leading
+ *             HTTP status ("503 Service Unavailable") is set as error.status
+ * - times:    how often the rule applies before it is skipped (default: always),
+ *             counted across all models sharing the script
+ *
+ * Without a matching rule the built-in responder of the task answers from
+ * the prompt itself: the router routes by keywords, the chart extractor
+ * reads "label value" pairs (example data when there are none), and RAG answers quote the first retrieved
+ * document with its citation. Tasks without a responder fail, so their
+ * callers use their offline fallbacks.
+ */
+
+/**
+ * Find the first capture of a pattern in a prompt
+ * @param {string} prompt - Prompt text
+ * @param {RegExp} pattern - Pattern with one capture group
+ * @returns {string} Capture, or ''
+ */
+function capture(prompt, pattern) {
+  return (prompt.match(pattern)?.[1] || '').trim();
+}
+
+/**
+ * Answer from the first document of a context block, citing it
+ * @param {string} prompt - Prompt with "[FILE-xxx] ... Answer: ..." documents
+ * @returns {string|null} Answer, or null without documents
+ */
+function quoteFirstDocument(prompt) {
+  const match = prompt.match(/\[([^\]\s]+)\]:?\nQuestion: .*\nAnswer: (.+)/);
+  if (!match) {
+    return null;
+  }
+  const sentence = match[2].match(/^.*?[.!?](?=\s|$)/)?.[0] || match[2];
+  return `${sentence.replace(/[.!?]$/, '')} [${match[1]}].`;
+}
+
+// Times each rule was used, shared by the models of a script
+const ruleUses = new WeakMap();
+
+// Built-in responders: (prompt) => text
+const RESPONDERS = {
+  routing: (prompt) => {
+    const query = capture(prompt, /User Query: "(.*)"/);
+    const needsChart = /\b(chart|graph|plot|visuali[sz]e)\b/i.test(query);
+    const needsDirect = /^(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening))\b/i.test(query);
+    const needsRAG = !needsDirect && (!needsChart || /\b(what|who|when|where|why|how|tell|explain)\b/i.test(query));
+    return JSON.stringify({
+      needsChart,
+      needsRAG,
+      needsDirect,
+      filters: {},
+      reasoning: 'Routed by keywords (fake model)',
+    });
+  },
+
+  chart: (prompt) => {
+    const query = capture(prompt, /User Query: "(.*)"/);
+    const pairs = [...query.matchAll(/([A-Za-z][A-Za-z ]*?)\s*[:=]?\s+(-?\d+(?:\.\d+)?)/g)];
+    const chartType = ['pie', 'line', 'doughnut', 'radar'].find(type => query.toLowerCase().includes(type)) || 'bar';
+    return JSON.stringify({
+      chartType,
+      title: capture(query, /(?:showing|of)\s+([^:,]+?)\s*(?::|$)/) || 'Chart',
+      labels: pairs.length > 0 ? pairs.map(pair => pair[1].trim()) : ['A', 'B', 'C'],
+      data: pairs.length > 0 ? pairs.map(pair => Number(pair[2])) : [10, 20, 15],
+      exampleData: pairs.length === 0,
+    });
+  },
+
+  direct: prompt => `This is a scripted reply to "${capture(prompt, /User Query: (.*)/)}" from the fake model.`,
+
+  rag: prompt => quoteFirstDocument(prompt)
+    || capture(prompt, /reply with exactly (\S+) and nothing else/)
+    || 'INSUFFICIENT_EVIDENCE',
+
+  regenerate: prompt => quoteFirstDocument(prompt) || 'The documents do not answer the question.',
+
+  groundedness: (prompt) => {
+    const claims = (prompt.split('\nClaims:\n')[1] || '').split('\n\n')[0].split('\n').filter(line => /^\d+\. /.test(line));
+    return JSON.stringify(claims.map((_, idx) => ({
+      claim: idx + 1,
+      supported: true,
+      evidence: [],
+      reason: 'Accepted by the fake model',
+    })));
+  },
+
+  condense: prompt => capture(prompt, /Latest question: (.*)/),
+};
+
+/**
+ * Read a script from a JSON file
+ * @param {string} filePath - File with an array of rules
+ * @returns {Array} Rules
+ * @throws {Error} If the file can't be read or isn't an array
+ */
+export function loadFakeScript(filePath) {
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read fake model script ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`Fake model script ${filePath} must be an array of rules`);
+  }
+  return rules;
+}
+
+/**
+ * Scripted chat model
+ * Streams its response word by word so token streaming can be exercised.
+ */
+export class FakeChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields - Model fields
+   * @param {string} fields.task - Task the model is used for
+   * @param {Array} fields.script - Rules (see above)
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.task = fields.task || 'default';
+    this.script = fields.script || [];
+    this.model = 'fake';
+    // Prompts received, for assertions: [{ task, prompt, response | error }]
+    this.calls = [];
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  /**
+   * Pick the response for a prompt
+   * @param {string} prompt - Prompt text
+   * @returns {string} Response
+   * @throws {Error} If the matching rule is an error, or no rule matches and the task has no built-in responder
+   */
+  respond(prompt) {
+    const rule = this.script.find(candidate => (!candidate.task || candidate.task === this.task)
+      && (candidate.times === undefined || (ruleUses.get(candidate) || 0) < candidate.times)
+      && (!candidate.match || (candidate.match instanceof RegExp
+        ? candidate.match.test(prompt)
+        : new RegExp(candidate.match, 'i').test(prompt))));
+
+    let response;
+    if (rule?.error) {
+      ruleUses.set(rule, (ruleUses.get(rule) || 0) + 1);
+      this.calls.push({ task: this.task, prompt, error: rule.error });
+      const error = new Error(rule.error);
+      const status = String(rule.error).match(/^(\d{3})\b/);
+      if (status) {
+        error.status = Number(status[1]);
+      }
+      throw error;
+    } else if (rule) {
+      ruleUses.set(rule, (ruleUses.get(rule) || 0) + 1);
+      response = typeof rule.response === 'function' ? rule.response(prompt, this.task) : String(rule.response);
+    } else if (RESPONDERS[this.task]) {
+      response = RESPONDERS[this.task](prompt);
+    } else {
+      throw new Error(`Fake model has no response for task "${this.task}"; add a rule to its script`);
+    }
+
+    this.calls.push({ task: this.task, prompt, response });
+    return response;
+  }
+
+  async _generate(messages) {
+    const text = this.respond(messages.map(message => message.content).join('\n\n'));
+    return { generations: [{ text, message: new AIMessage(text) }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = this.respond(messages.map(message => message.content).join('\n\n'));
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk(token) });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+export default {
+  FakeChatModel,
+  loadFakeScript,
+};
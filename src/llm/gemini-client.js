@@ -1,17 +1,5 @@
 import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Validate API key
-if (!process.env.GOOGLE_API_KEY) {
-  console.error('❌ Error: GOOGLE_API_KEY is not set in environment variables');
-  console.log('💡 Please create a .env file with your Google API key:');
-  console.log('   GOOGLE_API_KEY=your_api_key_here');
-  console.log('\n   Get your API key from: https://makersuite.google.com/app/apikey\n');
-  process.exit(1);
-}
+import { requireSetting } from '../config/config.js';
 
 /**
  * Initialize Gemini LLM with standard configuration
@@ -20,6 +8,7 @@ if (!process.env.GOOGLE_API_KEY) {
  * @param {number} options.temperature - Temperature for response randomness (0-1)
  * @param {number} options.maxTokens - Maximum tokens in response
  * @returns {ChatGoogleGenerativeAI} Configured Gemini model instance
+ * @throws {Error} If GOOGLE_API_KEY is not set
  */
 export function getGeminiModel(options = {}) {
   const {
@@ -32,7 +21,7 @@ export function getGeminiModel(options = {}) {
     model: modelName,
     temperature,
     maxOutputTokens: maxTokens,
-    apiKey: process.env.GOOGLE_API_KEY,
+    apiKey: requireSetting('llm', 'googleApiKey', 'Gemini models'),
   });
 
   return model;
@@ -64,7 +53,7 @@ async function testGeminiConnection() {
   } catch (error) {
     console.error('❌ Error testing Gemini API:', error.message);
     
-    if (error.message.includes('API key') || error.message.includes('401')) {
+    if (error.message.includes('API key') || error.message.includes('GOOGLE_API_KEY') || error.message.includes('401')) {
       console.log('\n💡 Please check your GOOGLE_API_KEY in the .env file');
       console.log('   Get your API key from: https://makersuite.google.com/app/apikey\n');
     } else if (error.message.includes('quota') || error.message.includes('429')) {
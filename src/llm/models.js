@@ -0,0 +1,242 @@
+import { FakeChatModel, loadFakeScript } from './fake-model.js';
+import { ResilientChatModel } from './resilience.js';
+import { MODEL_TASKS, getConfig, requireSetting } from '../config/config.js';
+
+/**
+ * Chat Model Factory
+ *
+ * Every LLM call site asks for a model by task, so each task can run on a
+ * different provider and model:
+ *
+ *   LLM_PROVIDER=gemini              default provider (gemini, openai, ollama, fake)
+ *   LLM_MODEL=gemini-2.5-flash       default model of that provider
+ *   LLM_ROUTING=ollama:llama3.1:8b   per task: "<provider>" or "<provider>:<model>"
+ *
+ * Providers:
+ * - gemini: Google Gemini (GOOGLE_API_KEY)
+ * - openai: OpenAI or any OpenAI-compatible endpoint (OPENAI_API_KEY, OPENAI_BASE_URL)
+ * - ollama: Ollama or another local OpenAI-compatible server (OLLAMA_BASE_URL)
+ * - fake:   scripted model for offline runs and tests (LLM_FAKE_SCRIPT, see llm/fake-model.js)
+ *
+ * New providers can be added with `registerChatProvider`. Settings are read
+ * through config/config.js; a provider's key is only required when one of its
+ * models is created.
+ *
+ * Models are wrapped with retries, rate limiting, circuit breaking and the
+ * LLM_FALLBACK model (see llm/resilience.js), so providers are created with
+ * their own retries turned off.
+ */
+
+export { MODEL_TASKS };
+
+// Default model of each provider
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  fake: 'fake',
+};
+
+/**
+ * Create an OpenAI-compatible chat model
+ * @param {Object} options - { modelName, temperature, maxTokens, apiKey, baseURL }
+ * @returns {Promise<Object>} ChatOpenAI instance
+ */
+async function createOpenAIModel({ modelName, temperature, maxTokens, apiKey, baseURL }) {
+  const { ChatOpenAI } = await import('@langchain/openai');
+  return new ChatOpenAI({
+    model: modelName,
+    temperature,
+    maxTokens,
+    maxRetries: 0,
+    apiKey,
+    configuration: baseURL ? { baseURL } : undefined,
+  });
+}
+
+let fakeScript = null;
+let fileScript = null;   // { path, rules } loaded from LLM_FAKE_SCRIPT
+
+/**
+ * Get the script of fake models
+ * @returns {Array} Rules set with setFakeScript(), else those of LLM_FAKE_SCRIPT, else none
+ */
+function currentFakeScript() {
+  if (fakeScript) {
+    return fakeScript;
+  }
+  const scriptPath = getConfig('llm').fakeScript;
+  if (!scriptPath) {
+    return [];
+  }
+  if (fileScript?.path !== scriptPath) {
+    fileScript = { path: scriptPath, rules: loadFakeScript(scriptPath) };
+  }
+  return fileScript.rules;
+}
+
+// Provider factories: (options) => chat model | Promise<chat model>
+const providers = {
+  gemini: async ({ modelName, temperature, maxTokens }) => {
+    const apiKey = requireSetting('llm', 'googleApiKey', 'the gemini provider');
+    const { ChatGoogleGenerativeAI } = await import('@langchain/google-genai');
+    return new ChatGoogleGenerativeAI({
+      model: modelName,
+      temperature,
+      maxOutputTokens: maxTokens,
+      maxRetries: 0,
+      apiKey,
+    });
+  },
+
+  openai: (options) => {
+    const { openaiApiKey, openaiBaseUrl } = getConfig('llm');
+    return createOpenAIModel({
+      ...options,
+      // Compatible endpoints often accept any key
+      apiKey: openaiBaseUrl ? openaiApiKey || 'not-needed' : requireSetting('llm', 'openaiApiKey', 'the openai provider'),
+      baseURL: openaiBaseUrl,
+    });
+  },
+
+  // Ollama, llama.cpp, vLLM and LM Studio all serve the OpenAI API under /v1
+  ollama: options => createOpenAIModel({
+    ...options,
+    apiKey: 'ollama',
+    baseURL: `${getConfig('llm').ollamaBaseUrl.replace(/\/+$/, '')}/v1`,
+  }),
+
+  fake: ({ task }) => new FakeChatModel({ task, script: currentFakeScript() }),
+};
+
+/**
+ * Register a custom chat model provider
+ * @param {string} name - Provider name used in LLM_PROVIDER, LLM_<TASK> or options.provider
+ * @param {Function} factory - ({ task, modelName, temperature, maxTokens }) => chat model | Promise<chat model>
+ */
+export function registerChatProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Set the script of fake models created from now on
+ * @param {Array|null} script - Rules (see llm/fake-model.js), null to use LLM_FAKE_SCRIPT again
+ */
+export function setFakeScript(script) {
+  fakeScript = script;
+}
+
+/**
+ * Split a "<provider>[:<model>]" spec
+ * @param {string} spec - Model spec
+ * @returns {Object} { provider, modelName } (modelName is undefined without a model part)
+ */
+function parseModelSpec(spec) {
+  const idx = spec.indexOf(':');
+  return idx === -1
+    ? { provider: spec, modelName: undefined }
+    : { provider: spec.slice(0, idx), modelName: spec.slice(idx + 1) };
+}
+
+/**
+ * Resolve the provider and model of a task
+ * @param {string} task - Task name (see MODEL_TASKS)
+ * @returns {Object} { provider, modelName } (modelName is undefined for custom providers without a configured model)
+ */
+export function resolveModelConfig(task) {
+  const spec = getConfig('models')[task];
+  const llm = getConfig('llm');
+  const { provider, modelName } = spec ? parseModelSpec(spec) : { provider: llm.provider, modelName: llm.model };
+  return { provider, modelName: modelName || DEFAULT_MODELS[provider] };
+}
+
+/**
+ * Get the factory of a provider
+ * @param {string} provider - Provider name
+ * @returns {Function} Factory
+ * @throws {Error} If the provider is unknown
+ */
+function providerFactory(provider) {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return factory;
+}
+
+/**
+ * Get the chat model for a task
+ * @param {string} task - Task name (see MODEL_TASKS)
+ * @param {Object} options - Configuration options
+ * @param {string} options.provider - Provider (default: LLM_<TASK>, else LLM_PROVIDER or gemini)
+ * @param {string} options.modelName - Model name (default: from LLM_<TASK> or LLM_MODEL, else the provider's default)
+ * @param {number} options.temperature - Temperature for response randomness (0-1, default: 0.7)
+ * @param {number} options.maxTokens - Maximum tokens in response (default: 2048)
+ * @param {boolean} options.resilient - Wrap the model with retries and fallback (default: true)
+ * @returns {Promise<Object>} LangChain chat model
+ * @throws {Error} If the task or provider is unknown or the provider is not configured
+ */
+export async function getChatModel(task, options = {}) {
+  if (!MODEL_TASKS.includes(task)) {
+    throw new Error(`Unknown model task "${task}". Use one of: ${MODEL_TASKS.join(', ')}`);
+  }
+
+  const config = resolveModelConfig(task);
+  const provider = options.provider || config.provider;
+  const factory = providerFactory(provider);
+
+  // The task's model name only applies to the provider it was configured for
+  const configuredModel = provider === config.provider ? config.modelName : undefined;
+  const modelName = options.modelName || configuredModel || DEFAULT_MODELS[provider];
+  const settings = {
+    task,
+    temperature: options.temperature ?? 0.7,
+    maxTokens: options.maxTokens ?? 2048,
+  };
+
+  const model = await factory({ ...settings, modelName });
+  if (options.resilient === false) {
+    return model;
+  }
+
+  const key = `${provider}:${modelName || 'default'}`;
+  const fallbackSpec = getConfig('resilience').fallback;
+  const fallback = fallbackSpec ? parseModelSpec(fallbackSpec) : null;
+  if (fallback) {
+    fallback.modelName = fallback.modelName || DEFAULT_MODELS[fallback.provider];
+  }
+  const fallbackKey = fallback && `${fallback.provider}:${fallback.modelName || 'default'}`;
+
+  return new ResilientChatModel({
+    model,
+    task,
+    key,
+    // Created on first failure, so its key is only needed once it is used
+    fallback: fallback && fallbackKey !== key
+      ? async () => ({
+        model: await providerFactory(fallback.provider)({ ...settings, modelName: fallback.modelName }),
+        key: fallbackKey,
+      })
+      : null,
+  });
+}
+
+/**
+ * Describe the provider and model of every task
+ * @returns {Array} [{ task, provider, modelName }]
+ */
+export function describeModels() {
+  return MODEL_TASKS.map((task) => {
+    const { provider, modelName } = resolveModelConfig(task);
+    return { task, provider, modelName: modelName || '(provider default)' };
+  });
+}
+
+export default {
+  MODEL_TASKS,
+  getChatModel,
+  resolveModelConfig,
+  describeModels,
+  registerChatProvider,
+  setFakeScript,
+};
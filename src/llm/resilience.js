@@ -0,0 +1,542 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { pathToFileURL } from 'url';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+import { getConfig } from '../config/config.js';
+import { messageUsage, callUsage } from '../usage/usage.js';
+
+/**
+ * Resilient Model Calls
+ *
+ * Every chat model from llm/models.js is wrapped so its calls:
+ * - are retried on transient errors (429, 5xx, timeouts, connection resets)
+ *   with jittered exponential backoff, up to LLM_MAX_RETRIES times
+ * - share one per-process limiter: at most LLM_CONCURRENCY calls in flight and
+ *   LLM_REQUESTS_PER_MINUTE calls started per minute
+ * - go through a circuit breaker per provider and model: after
+ *   LLM_BREAKER_THRESHOLD transient failures in a row the model is skipped for
+ *   LLM_BREAKER_COOLDOWN_MS, then one probe call decides whether it recovered
+ * - fall back to LLM_FALLBACK when the model still fails or its circuit is open
+ *
+ * Errors that are not transient (bad request, missing key) fail immediately.
+ * A streamed call is only retried until its first chunk arrives, so no token
+ * is emitted twice.
+ *
+ * Calls made inside a call tracker's run() are counted, so a graph run can
+ * report its retries, fallbacks and token usage in metadata. Usage is
+ * attributed to the model that answered, i.e. the fallback after a fallback.
+ */
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_MESSAGE = /\b(408|429|500|502|503|504)\b|rate.?limit|quota|too many requests|overloaded|unavailable|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|fetch failed|socket hang up/i;
+
+/**
+ * Check whether a failed model call is worth retrying
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+export function isRetryableError(error) {
+  if (!error || error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  const status = Number(error.status ?? error.statusCode ?? error.response?.status);
+  if (status) {
+    return RETRYABLE_STATUS.includes(status);
+  }
+  return RETRYABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - { baseMs, maxMs }
+ * @returns {number} Delay in milliseconds, between 0 and min(maxMs, baseMs * 2^attempt)
+ */
+export function backoffDelay(attempt, { baseMs = 500, maxMs = 10000 } = {}) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a concurrency and rate limiter
+ * @param {Object} options - Limiter options
+ * @param {number} options.concurrency - Calls in flight at once
+ * @param {number} options.requestsPerMinute - Calls started per minute (default: unlimited)
+ * @returns {Object} Limiter with schedule(fn) and stats()
+ */
+export function createLimiter({ concurrency = 4, requestsPerMinute = null } = {}) {
+  const interval = requestsPerMinute ? 60000 / requestsPerMinute : 0;
+  const queue = [];
+  let active = 0;
+  let nextStart = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { fn, hold, resolve, reject } = queue.shift();
+
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        active -= 1;
+        next();
+      }
+    };
+
+    // Space out starts to stay under the rate
+    const now = Date.now();
+    const wait = Math.max(0, nextStart - now);
+    nextStart = Math.max(now, nextStart) + interval;
+
+    sleep(wait)
+      .then(() => fn(release))
+      .then((result) => {
+        if (!hold) {
+          release();
+        }
+        resolve(result);
+      }, (error) => {
+        release();
+        reject(error);
+      });
+  };
+
+  return {
+    /**
+     * Run a call once a slot is free
+     * @param {Function} fn - (release) => Promise
+     * @param {Object} options - Schedule options
+     * @param {boolean} options.hold - Keep the slot after fn resolves until release() is called
+     *   (e.g. while a stream is read); the slot is always freed when fn fails
+     * @returns {Promise<*>} Result of fn
+     */
+    schedule(fn, { hold = false } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, hold, resolve, reject });
+        next();
+      });
+    },
+
+    /**
+     * Limiter state
+     * @returns {Object} { active, queued }
+     */
+    stats() {
+      return { active, queued: queue.length };
+    },
+  };
+}
+
+/**
+ * Create a circuit breaker
+ * Circuits are kept per key (e.g. "gemini:gemini-2.5-flash").
+ * @param {Object} options - Breaker options
+ * @param {number} options.threshold - Failures in a row that open a circuit
+ * @param {number} options.cooldownMs - Time an open circuit rejects calls before a probe is let through
+ * @returns {Object} Breaker with check(), success(), failure() and state()
+ */
+export function createCircuitBreaker({ threshold = 5, cooldownMs = 30000 } = {}) {
+  const circuits = new Map();   // key → { failures, openedAt, probing }
+
+  const circuit = (key) => {
+    if (!circuits.has(key)) {
+      circuits.set(key, { failures: 0, openedAt: null, probing: false });
+    }
+    return circuits.get(key);
+  };
+
+  return {
+    /**
+     * Let a call through, or reject it while the circuit is open
+     * @param {string} key - Circuit key
+     * @throws {Error} With code CIRCUIT_OPEN if the circuit is open
+     */
+    check(key) {
+      const state = circuit(key);
+      if (state.openedAt === null) {
+        return;
+      }
+      const remaining = state.openedAt + cooldownMs - Date.now();
+      if (remaining > 0 || state.probing) {
+        const error = new Error(`Circuit open for ${key}: ${state.failures} failures in a row`
+          + (remaining > 0 ? `, retrying in ${Math.ceil(remaining / 1000)}s` : ', probe in progress'));
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+      }
+      // Half-open: this call decides whether the circuit closes again
+      state.probing = true;
+    },
+
+    /**
+     * Record a successful call, closing the circuit
+     * @param {string} key - Circuit key
+     */
+    success(key) {
+      circuits.set(key, { failures: 0, openedAt: null, probing: false });
+    },
+
+    /**
+     * Record a transient failure, opening the circuit at the threshold or after a failed probe
+     * @param {string} key - Circuit key
+     */
+    failure(key) {
+      const state = circuit(key);
+      state.failures += 1;
+      if (state.probing || state.failures >= threshold) {
+        state.openedAt = Date.now();
+        state.probing = false;
+      }
+    },
+
+    /**
+     * Describe a circuit
+     * @param {string} key - Circuit key
+     * @returns {string} 'closed', 'open' or 'half-open'
+     */
+    state(key) {
+      const state = circuit(key);
+      if (state.openedAt === null) {
+        return 'closed';
+      }
+      return state.probing || Date.now() >= state.openedAt + cooldownMs ? 'half-open' : 'open';
+    },
+  };
+}
+
+let sharedLimiter = null;
+let sharedBreaker = null;
+
+/**
+ * Get the per-process limiter and circuit breaker, created from the resilience config
+ * @returns {Object} { limiter, breaker }
+ */
+function sharedGuards() {
+  if (!sharedLimiter) {
+    const config = getConfig('resilience');
+    sharedLimiter = createLimiter(config);
+    sharedBreaker = createCircuitBreaker({ threshold: config.breakerThreshold, cooldownMs: config.breakerCooldownMs });
+  }
+  return { limiter: sharedLimiter, breaker: sharedBreaker };
+}
+
+/**
+ * Forget the shared limiter and circuits (e.g. after changing the resilience config)
+ */
+export function resetResilience() {
+  sharedLimiter = null;
+  sharedBreaker = null;
+}
+
+const callStats = new AsyncLocalStorage();
+
+/**
+ * Create a tracker counting model calls
+ * @returns {Object} { stats, run(fn) }: run(fn) returns fn(), and the model calls fn makes, directly
+ *   or in work it starts, are added to stats ({ calls, retries, fallbacks, failures, tasks: { [task]: counts },
+ *   usage: [{ task, model, inputTokens, outputTokens, estimated }] })
+ */
+export function createCallTracker() {
+  const stats = { calls: 0, retries: 0, fallbacks: 0, failures: 0, tasks: {}, usage: [] };
+  return {
+    stats,
+    run: fn => callStats.run(stats, fn),
+  };
+}
+
+/**
+ * Record a finished call in the surrounding tracker, if any
+ * @param {string} task - Model task
+ * @param {Object} outcome - { retries, fallback, failed }
+ */
+function recordCall(task, { retries = 0, fallback = false, failed = false }) {
+  const stats = callStats.getStore();
+  if (!stats) {
+    return;
+  }
+  if (!stats.tasks[task]) {
+    stats.tasks[task] = { calls: 0, retries: 0, fallbacks: 0, failures: 0 };
+  }
+  [stats, stats.tasks[task]].forEach((target) => {
+    target.calls += 1;
+    target.retries += retries;
+    target.fallbacks += fallback ? 1 : 0;
+    target.failures += failed ? 1 : 0;
+  });
+}
+
+/**
+ * Get the text of message content
+ * @param {string|Array} content - Message content
+ * @returns {string} Text
+ */
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || []).map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Record the tokens of an answered call in the surrounding tracker, if any
+ * @param {string} task - Model task
+ * @param {string} key - Model that answered, "<provider>:<model>"
+ * @param {Array} messages - Prompt messages, to estimate usage the provider didn't report
+ * @param {Object} reply - { text, usage } with usage from usage/usage.js messageUsage()
+ */
+function recordTokens(task, key, messages, { text, usage }) {
+  const stats = callStats.getStore();
+  if (!stats) {
+    return;
+  }
+  const prompt = messages.map(message => contentText(message.content)).join('\n');
+  stats.usage.push({ task, model: key, ...callUsage(usage, prompt, text) });
+}
+
+/**
+ * Run one model call with retries, the limiter and the circuit breaker
+ * @param {string} key - Circuit key of the model
+ * @param {string} task - Model task, for logs
+ * @param {Function} attempt - (release) => Promise, one try of the call (see createLimiter schedule)
+ * @param {Object} outcome - Counters updated in place: { retries }
+ * @param {Object} options - { hold }: keep the limiter slot until the attempt's release() is called
+ * @returns {Promise<*>} Result of the first successful try
+ * @throws {Error} The last error, or a CIRCUIT_OPEN error
+ */
+async function callWithRetries(key, task, attempt, outcome, options = {}) {
+  const config = getConfig('resilience');
+  const { limiter, breaker } = sharedGuards();
+
+  for (let retry = 0; ; retry++) {
+    breaker.check(key);
+    try {
+      const result = await limiter.schedule(attempt, options);
+      breaker.success(key);
+      return result;
+    } catch (error) {
+      if (!isRetryableError(error)) {
+        // The model answered, so the circuit closes (and a half-open probe is released)
+        breaker.success(key);
+        throw error;
+      }
+      breaker.failure(key);
+      if (retry >= config.maxRetries) {
+        throw error;
+      }
+      const delay = backoffDelay(retry, { baseMs: config.retryBaseMs, maxMs: config.retryMaxMs });
+      console.error(`⚠️  ${task} model ${key} failed (${error.message}), retry ${retry + 1}/${config.maxRetries} in ${delay}ms`);
+      outcome.retries += 1;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Chat model wrapper adding retries, rate limiting, circuit breaking and fallback
+ * Calls are delegated to the wrapped model, so its token callbacks still reach
+ * the surrounding run.
+ */
+export class ResilientChatModel extends BaseChatModel {
+  /**
+   * @param {Object} fields - Wrapper fields
+   * @param {Object} fields.model - Wrapped chat model
+   * @param {string} fields.task - Task the model is used for
+   * @param {string} fields.key - Circuit key, e.g. "<provider>:<model>"
+   * @param {Function} fields.fallback - async () => { model, key } | null, the model to use when this one fails
+   */
+  constructor(fields) {
+    super({});
+    this.inner = fields.model;
+    this.task = fields.task;
+    this.key = fields.key;
+    this.fallback = fields.fallback || null;
+  }
+
+  _llmType() {
+    // Also called by the base constructor, before the wrapped model is set
+    return this.inner?._llmType() ?? 'resilient';
+  }
+
+  /**
+   * Run a call on the wrapped model, then on the fallback if it fails
+   * @param {Function} call - (model, key, release) => Promise
+   * @param {Object} options - { hold }: keep the limiter slot until release() is called
+   * @returns {Promise<*>} Result
+   */
+  async run(call, options = {}) {
+    const outcome = { retries: 0 };
+    try {
+      const result = await callWithRetries(this.key, this.task, release => call(this.inner, this.key, release), outcome, options);
+      recordCall(this.task, outcome);
+      return result;
+    } catch (error) {
+      const fallback = (isRetryableError(error) || error.code === 'CIRCUIT_OPEN') ? await this.loadFallback(error) : null;
+      if (!fallback) {
+        recordCall(this.task, { ...outcome, failed: true });
+        throw error;
+      }
+
+      console.error(`⚠️  ${this.task} model ${this.key} failed (${error.message}), falling back to ${fallback.key}`);
+      try {
+        const result = await callWithRetries(fallback.key, this.task, release => call(fallback.model, fallback.key, release), outcome, options);
+        recordCall(this.task, { ...outcome, fallback: true });
+        return result;
+      } catch (fallbackError) {
+        recordCall(this.task, { ...outcome, fallback: true, failed: true });
+        throw fallbackError;
+      }
+    }
+  }
+
+  /**
+   * Create the fallback model
+   * @param {Error} error - Error of the primary model, for logs
+   * @returns {Promise<Object|null>} { model, key }, or null without a usable fallback
+   */
+  async loadFallback(error) {
+    if (!this.fallback) {
+      return null;
+    }
+    try {
+      return await this.fallback();
+    } catch (fallbackError) {
+      console.error(`⚠️  Fallback for ${this.task} unavailable (${fallbackError.message}), keeping the error: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _generate(messages, options, runManager) {
+    return this.run(async (model, key) => {
+      const result = await model._generate(messages, options, runManager);
+      const generation = result.generations[0];
+      recordTokens(this.task, key, messages, { text: generation?.text, usage: messageUsage(generation?.message) });
+      return result;
+    });
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    // Retried until the first chunk arrives; later failures end the stream.
+    // The limiter slot is held until the stream is read to the end or closed.
+    const { first, rest, key, release } = await this.run(async (model, key, release) => {
+      if (model._streamResponseChunks === BaseChatModel.prototype._streamResponseChunks) {
+        // The model can't stream: send its whole response as one chunk
+        const { generations } = await model._generate(messages, options, runManager);
+        const text = generations[0]?.text || '';
+        const message = new AIMessageChunk({ content: text, usage_metadata: generations[0]?.message?.usage_metadata });
+        return { first: { done: false, value: new ChatGenerationChunk({ text, message }) }, rest: null, key, release };
+      }
+      const iterator = model._streamResponseChunks(messages, options, runManager);
+      return { first: await iterator.next(), rest: iterator, key, release };
+    }, { hold: true });
+
+    // Usage is summed over the chunks (providers send it in deltas or in the last chunk)
+    const reply = { text: '', usage: null };
+    const addChunk = (chunk) => {
+      reply.text += chunk.text || '';
+      const usage = messageUsage(chunk.message);
+      if (usage) {
+        reply.usage = {
+          inputTokens: (reply.usage?.inputTokens || 0) + usage.inputTokens,
+          outputTokens: (reply.usage?.outputTokens || 0) + usage.outputTokens,
+        };
+      }
+    };
+
+    try {
+      if (!first.done) {
+        addChunk(first.value);
+        yield first.value;
+      }
+      if (rest && !first.done) {
+        for await (const chunk of rest) {
+          addChunk(chunk);
+          yield chunk;
+        }
+      }
+    } finally {
+      release();
+      recordTokens(this.task, key, messages, reply);
+    }
+  }
+}
+
+/**
+ * Test the circuit breaker and limiter with the fake provider (no API key needed)
+ */
+async function testResilience() {
+  console.log('🧪 Testing Resilient Model Calls...\n');
+  const { FakeChatModel } = await import('./fake-model.js');
+  Object.assign(process.env, {
+    LLM_MAX_RETRIES: '0',
+    LLM_CONCURRENCY: '1',
+    LLM_BREAKER_THRESHOLD: '1',
+    LLM_BREAKER_COOLDOWN_MS: '50',
+  });
+  resetResilience();
+
+  // A probe that fails with a non-retryable error must not leave the circuit open
+  const script = [
+    { error: '503 Service Unavailable', times: 1 },
+    { error: '400 Bad Request', times: 1 },
+    { response: 'ok' },
+  ];
+  const model = new ResilientChatModel({
+    model: new FakeChatModel({ task: 'direct', script }),
+    task: 'direct',
+    key: 'fake:probe',
+  });
+  const outcomes = [];
+  for (const wait of [0, 60, 0, 0]) {
+    await sleep(wait);
+    outcomes.push(await model.invoke('hello').then(reply => reply.content, error => error.message.split(':')[0]));
+  }
+  if (outcomes.join(' | ') !== '503 Service Unavailable | 400 Bad Request | ok | ok') {
+    throw new Error(`Unexpected circuit behaviour: ${outcomes.join(' | ')}`);
+  }
+  console.log(`✅ 503 → open, 400 probe → closed: ${outcomes.join(' | ')}`);
+
+  // A stream keeps its limiter slot (LLM_CONCURRENCY=1) until it is read to the end
+  const streamer = new ResilientChatModel({
+    model: new FakeChatModel({ task: 'direct', script: [{ response: 'one two three' }] }),
+    task: 'direct',
+    key: 'fake:stream',
+  });
+  const first = (await streamer.stream('first'))[Symbol.asyncIterator]();
+  await first.next();
+  const second = streamer.invoke('second');
+  const blocked = await Promise.race([second.then(() => false), sleep(100).then(() => true)]);
+  if (!blocked) {
+    throw new Error('A call started while a stream held the only limiter slot');
+  }
+  while (!(await first.next()).done);
+  await second;
+  console.log('✅ Stream held its limiter slot until it finished');
+
+  resetResilience();
+  console.log('\n🎉 Resilience tests passed!\n');
+}
+
+export default {
+  isRetryableError,
+  backoffDelay,
+  createLimiter,
+  createCircuitBreaker,
+  resetResilience,
+  createCallTracker,
+  ResilientChatModel,
+  testResilience,
+};
+
+// Run test if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  testResilience()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Test failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,79 @@
+import { dispatchCustomEvent } from '@langchain/core/callbacks/dispatch';
+
+/**
+ * Streaming helpers
+ *
+ * Agents report progress (answer tokens, sources, charts) as LangChain custom
+ * events. Inside a graph run they surface in app.streamEvents() as
+ * on_custom_event; outside a run they are silently dropped, so agents can be
+ * called directly as before.
+ */
+
+// Custom event names
+export const EVENTS = {
+  ANSWER_TOKEN: 'answer_token',   // { source: 'rag' | 'direct', text }
+  SOURCES: 'rag_sources',         // { references }
+  CHART: 'chart_ready',           // { chartConfig }
+};
+
+/**
+ * Emit a custom event to the surrounding run, if any
+ * @param {string} name - Event name (see EVENTS)
+ * @param {Object} payload - Event data
+ */
+export async function emitEvent(name, payload) {
+  try {
+    await dispatchCustomEvent(name, payload);
+  } catch (error) {
+    // Not inside a run: nobody is listening
+  }
+}
+
+/**
+ * Get the text of a streamed message chunk
+ * @param {Object} chunk - AIMessageChunk
+ * @returns {string} Text content
+ */
+function chunkText(chunk) {
+  if (typeof chunk.content === 'string') {
+    return chunk.content;
+  }
+  return (chunk.content || [])
+    .map(part => (typeof part === 'string' ? part : part.text || ''))
+    .join('');
+}
+
+/**
+ * Stream a model response, emitting answer tokens as they arrive
+ * @param {Object} model - Chat model instance
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Streaming options
+ * @param {string} options.source - Source reported with each token ('rag' or 'direct')
+ * @param {string} options.holdPrefix - Hold tokens back while the response could still start with this
+ *   text (e.g. a control marker the user should never see)
+ * @returns {Promise<string>} Full response text
+ */
+export async function streamText(model, prompt, options = {}) {
+  const { source = 'rag', holdPrefix = null } = options;
+  let text = '';
+  let emitted = 0;
+
+  for await (const chunk of await model.stream(prompt)) {
+    text += chunkText(chunk);
+
+    const head = text.trimStart();
+    const holding = holdPrefix && (holdPrefix.startsWith(head) || head.startsWith(holdPrefix));
+    if (!holding && text.length > emitted) {
+      await emitEvent(EVENTS.ANSWER_TOKEN, { source, text: text.slice(emitted) });
+      emitted = text.length;
+    }
+  }
+
+  return text;
+}
+
+export default {
+  EVENTS,
+  emitEvent,
+  streamText,
+};
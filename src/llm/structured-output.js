@@ -0,0 +1,114 @@
+import { renderPrompt, promptInfo } from '../prompts/registry.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Structured Output
+ *
+ * Replies that must be JSON (routing, chart extraction) are parsed and
+ * validated against a zod schema. An invalid reply is sent back to the model
+ * with the problems found (prompt template "json-repair"), at most
+ * LLM_STRUCTURED_REPAIRS times (default: 2). If it is still invalid an error
+ * with code STRUCTURED_OUTPUT_INVALID is thrown; callers report it instead of
+ * guessing a value.
+ *
+ * The JSON format is requested in the prompt rather than through provider
+ * tool calling, so every provider, including the fake one, supports it.
+ */
+
+/**
+ * Get the text of a model reply
+ * @param {string|Array} content - Message content
+ * @returns {string} Text
+ */
+function replyText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || []).map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Parse the JSON object of a reply
+ * Code fences and text around the object are ignored.
+ * @param {string} text - Reply text
+ * @returns {Object} Parsed value
+ * @throws {Error} If the reply has no parseable JSON object
+ */
+export function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('the reply contains no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`the reply is not valid JSON (${error.message})`);
+  }
+}
+
+/**
+ * Describe zod validation issues
+ * @param {Object} error - ZodError
+ * @returns {string} One "- path: message" line per issue
+ */
+function formatIssues(error) {
+  return error.issues
+    .map(issue => `- ${issue.path.length > 0 ? issue.path.join('.') : '(reply)'}: ${issue.message}`)
+    .join('\n');
+}
+
+/**
+ * Invoke a model and validate its JSON reply, asking it to repair invalid replies
+ * @param {Object} model - Chat model
+ * @param {Object} prompt - Rendered prompt (see prompts/registry.js renderPrompt)
+ * @param {Object} schema - zod schema of the reply
+ * @param {Object} options - Options
+ * @param {string} options.tenant - Tenant whose prompt overrides apply to the repair prompt
+ * @param {number} options.maxRepairs - Repair attempts (default: LLM_STRUCTURED_REPAIRS or 2)
+ * @returns {Promise<Object>} { data, repairs, prompts } the validated value, the number of repairs
+ *   needed and the repair prompt used (empty if none)
+ * @throws {Error} With code STRUCTURED_OUTPUT_INVALID, reply, problems and prompts if no valid reply was
+ *   received; errors of the model call itself are passed through
+ */
+export async function invokeStructured(model, prompt, schema, options = {}) {
+  const { tenant = null, maxRepairs = getConfig('llm').structuredRepairs } = options;
+  const prompts = [];
+  let text = prompt.text;
+
+  for (let attempt = 0; ; attempt++) {
+    const reply = replyText((await model.invoke(text)).content);
+
+    let problems;
+    try {
+      const result = schema.safeParse(extractJson(reply));
+      if (result.success) {
+        return { data: result.data, repairs: attempt, prompts };
+      }
+      problems = formatIssues(result.error);
+    } catch (error) {
+      problems = `- ${error.message}`;
+    }
+
+    if (attempt >= maxRepairs) {
+      const error = new Error(`Invalid ${prompt.name} reply after ${attempt + 1} attempt(s):\n${problems}`);
+      error.code = 'STRUCTURED_OUTPUT_INVALID';
+      error.reply = reply;
+      error.problems = problems;
+      error.prompts = prompts;
+      throw error;
+    }
+
+    console.error(`⚠️  Invalid ${prompt.name} reply, asking for a repair (${attempt + 1}/${maxRepairs}):\n${problems}`);
+    const repair = await renderPrompt('json-repair', { prompt: prompt.text, reply, problems }, { tenant });
+    if (prompts.length === 0) {
+      prompts.push(promptInfo(repair));
+    }
+    text = repair.text;
+  }
+}
+
+export default {
+  extractJson,
+  invokeStructured,
+};
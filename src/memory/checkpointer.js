@@ -0,0 +1,212 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { MemorySaver } from '@langchain/langgraph';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Graph Checkpointers
+ *
+ * The agent graph is compiled with a checkpointer so its state (conversation
+ * history and summary) is kept per thread_id between runs:
+ * - memory: LangGraph's MemorySaver, lost when the process exits
+ * - file:   MemorySaver persisted to a JSON file (default: .data/checkpoints.json)
+ *
+ * Select with RAG_CHECKPOINTER (default: memory).
+ */
+
+export const CHECKPOINTERS = ['memory', 'file'];
+
+// Checkpoints kept per thread; only the latest is needed to resume a conversation
+const DEFAULT_MAX_CHECKPOINTS = 10;
+
+/**
+ * Convert serialized values to strings so they survive JSON round trips
+ * (the JSON serde accepts both bytes and strings when loading)
+ * @param {*} value - Uint8Array or string
+ * @returns {*} String for byte arrays, the value otherwise
+ */
+function toText(value) {
+  return value instanceof Uint8Array ? new TextDecoder().decode(value) : value;
+}
+
+/**
+ * MemorySaver that persists its checkpoints to a JSON file
+ * The file is read on first use and rewritten after every change.
+ */
+export class FileSaver extends MemorySaver {
+  /**
+   * @param {Object} options - Saver options
+   * @param {string} options.filePath - JSON file (default: RAG_CHECKPOINT_PATH or .data/checkpoints.json)
+   * @param {number} options.maxCheckpoints - Checkpoints kept per thread (default: 10)
+   */
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || getConfig('memory').checkpointPath;
+    this.maxCheckpoints = options.maxCheckpoints || DEFAULT_MAX_CHECKPOINTS;
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the file once (a missing file is an empty store)
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const data = JSON.parse(await readFile(this.filePath, 'utf8'));
+          this.storage = data.storage || {};
+          this.writes = data.writes || {};
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read checkpoints from ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Write the store to disk (serialized, atomic via a temp file)
+   */
+  async persist() {
+    const storage = {};
+    for (const [threadId, namespaces] of Object.entries(this.storage)) {
+      storage[threadId] = {};
+      for (const [namespace, checkpoints] of Object.entries(namespaces)) {
+        storage[threadId][namespace] = Object.fromEntries(Object.entries(checkpoints)
+          .map(([id, [checkpoint, metadata, parent]]) => [id, [toText(checkpoint), toText(metadata), parent]]));
+      }
+    }
+
+    const writes = {};
+    for (const [key, entries] of Object.entries(this.writes)) {
+      writes[key] = Object.fromEntries(Object.entries(entries)
+        .map(([innerKey, [taskId, channel, value]]) => [innerKey, [taskId, channel, toText(value)]]));
+    }
+
+    const content = JSON.stringify({ storage, writes });
+    this.saving = this.saving.then(async () => {
+      await mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await writeFile(tmpPath, content, 'utf8');
+      await rename(tmpPath, this.filePath);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Drop the oldest checkpoints of a thread namespace, with their pending writes
+   * @param {string} threadId - Thread ID
+   * @param {string} namespace - Checkpoint namespace
+   */
+  prune(threadId, namespace) {
+    const checkpoints = this.storage[threadId]?.[namespace];
+    if (!checkpoints) {
+      return;
+    }
+
+    // Checkpoint IDs are time-ordered UUIDs
+    const ids = Object.keys(checkpoints).sort();
+    ids.slice(0, Math.max(ids.length - this.maxCheckpoints, 0)).forEach((id) => {
+      delete checkpoints[id];
+      delete this.writes[JSON.stringify([threadId, namespace, id])];
+    });
+  }
+
+  async getTuple(config) {
+    await this.load();
+    return super.getTuple(config);
+  }
+
+  async *list(config, options) {
+    await this.load();
+    yield* super.list(config, options);
+  }
+
+  async put(config, checkpoint, metadata) {
+    await this.load();
+    const result = await super.put(config, checkpoint, metadata);
+    this.prune(result.configurable.thread_id, result.configurable.checkpoint_ns);
+    await this.persist();
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    await this.load();
+    await super.putWrites(config, writes, taskId);
+    await this.persist();
+  }
+
+  /**
+   * Delete all checkpoints of a thread
+   * @param {string} threadId - Thread ID
+   */
+  async deleteThread(threadId) {
+    await this.load();
+    deleteThreadFromSaver(this, threadId);
+    await this.persist();
+  }
+}
+
+/**
+ * Remove a thread from a MemorySaver's in-memory store
+ * @param {MemorySaver} saver - Saver
+ * @param {string} threadId - Thread ID
+ */
+function deleteThreadFromSaver(saver, threadId) {
+  delete saver.storage[threadId];
+  Object.keys(saver.writes)
+    .filter(key => JSON.parse(key)[0] === threadId)
+    .forEach((key) => {
+      delete saver.writes[key];
+    });
+}
+
+/**
+ * Create a checkpointer
+ * @param {string} name - 'memory' or 'file'
+ * @param {Object} options - FileSaver options
+ * @returns {MemorySaver} Checkpointer with a deleteThread(threadId) method
+ */
+export function createCheckpointer(name, options = {}) {
+  if (name === 'file') {
+    return new FileSaver(options);
+  }
+  if (name === 'memory') {
+    const saver = new MemorySaver();
+    saver.deleteThread = async threadId => deleteThreadFromSaver(saver, threadId);
+    return saver;
+  }
+  throw new Error(`Unknown checkpointer "${name}". Available: ${CHECKPOINTERS.join(', ')}`);
+}
+
+let defaultCheckpointer = null;
+
+/**
+ * Get the shared checkpointer, selected with RAG_CHECKPOINTER (default: 'memory')
+ * @returns {MemorySaver} Checkpointer
+ */
+export function getCheckpointer() {
+  if (!defaultCheckpointer) {
+    defaultCheckpointer = createCheckpointer(getConfig('memory').checkpointer);
+  }
+  return defaultCheckpointer;
+}
+
+/**
+ * Replace the shared checkpointer (null to reset)
+ * @param {MemorySaver|null} checkpointer - Checkpointer
+ */
+export function setCheckpointer(checkpointer) {
+  defaultCheckpointer = checkpointer;
+}
+
+export default {
+  CHECKPOINTERS,
+  FileSaver,
+  createCheckpointer,
+  getCheckpointer,
+  setCheckpointer,
+};
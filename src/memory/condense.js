@@ -0,0 +1,62 @@
+import { formatConversation } from './history.js';
+
+/**
+ * Question Condensing
+ *
+ * Follow-ups such as "what about the second one?" mean nothing to the router
+ * or to BM25 on their own. Given the conversation so far, the LLM rewrites
+ * them into a self-contained question; questions that already stand alone
+ * come back unchanged.
+ */
+
+/**
+ * Rewrite a follow-up into a standalone question
+ * @param {Object} params - Condensing parameters
+ * @param {string} params.query - User question
+ * @param {Array} params.history - Earlier entries [{ role, content }]
+ * @param {string} params.summary - Summary of older turns
+ * @param {Object} params.model - Chat model (default: the condense task model, see llm/models.js)
+ * @returns {Promise<Object>} { query: standalone question, condensed: whether it differs from the original }
+ */
+export async function condenseQuestion({ query, history = [], summary = '', model }) {
+  if (history.length === 0 && !summary) {
+    return { query, condensed: false };
+  }
+
+  const prompt = `Rewrite the user's latest question so it can be understood without the conversation.
+
+Conversation so far:
+${formatConversation({ history, summary })}
+
+Latest question: ${query}
+
+Rules:
+- Replace pronouns and references ("it", "its", "the second one", "that") with what they refer to
+- Keep the language, intent and any requested format (e.g. a chart) of the latest question
+- If the question already stands on its own, return it unchanged
+- Do not answer the question
+
+Respond ONLY with the rewritten question.`;
+
+  try {
+    let condenser = model;
+    if (!condenser) {
+      const { getChatModel } = await import('../llm/models.js');
+      condenser = await getChatModel('condense', { temperature: 0 });
+    }
+    const response = await condenser.invoke(prompt);
+    const standalone = String(response.content).trim().replace(/^["']|["']$/g, '');
+
+    if (!standalone) {
+      return { query, condensed: false };
+    }
+    return { query: standalone, condensed: standalone !== query.trim() };
+  } catch (error) {
+    console.error('⚠️  Error condensing question, using it as is:', error.message);
+    return { query, condensed: false };
+  }
+}
+
+export default {
+  condenseQuestion,
+};
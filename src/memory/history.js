@@ -0,0 +1,145 @@
+import { getConfig } from '../config/config.js';
+
+/**
+ * Conversation History
+ *
+ * Each thread keeps its recent turns verbatim and a running summary of the
+ * older ones. After every answer the turn is appended; once more than the
+ * window (RAG_HISTORY_TURNS, default 6) is kept, the oldest turns are folded
+ * into the summary by the LLM.
+ *
+ * History entries: { role: 'user' | 'assistant', content }
+ */
+
+// Long assistant answers are cut in prompts; the gist is enough for follow-ups
+const MAX_ENTRY_CHARS = 600;
+
+/**
+ * Append a question and its answer to the history
+ * @param {Array} history - Previous entries
+ * @param {string} query - User question
+ * @param {string} answer - Assistant answer
+ * @returns {Array} New history
+ */
+export function appendTurn(history, query, answer) {
+  return [
+    ...(history || []),
+    { role: 'user', content: query },
+    { role: 'assistant', content: answer || '' },
+  ];
+}
+
+/**
+ * Validate history passed in by a caller
+ * @param {Array} history - Entries [{ role: 'user' | 'assistant', content }]
+ * @returns {Array} Entries with string content
+ * @throws {Error} If an entry has an unknown role or no content
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) {
+    throw new Error('History must be an array of { role, content } entries');
+  }
+  return history.map((entry, idx) => {
+    if (!entry || !['user', 'assistant'].includes(entry.role) || typeof entry.content !== 'string') {
+      throw new Error(`Invalid history entry ${idx}: expected { role: 'user' | 'assistant', content: string }`);
+    }
+    return { role: entry.role, content: entry.content };
+  });
+}
+
+/**
+ * Format history entries as a transcript
+ * @param {Array} history - Entries
+ * @returns {string} "User: ...\nAssistant: ..." lines
+ */
+function formatEntries(history) {
+  return history
+    .map((entry) => {
+      const content = entry.content.length > MAX_ENTRY_CHARS
+        ? `${entry.content.slice(0, MAX_ENTRY_CHARS)}…`
+        : entry.content;
+      return `${entry.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Format the conversation so far for a prompt
+ * @param {Object} conversation - Conversation state
+ * @param {Array} conversation.history - Recent entries
+ * @param {string} conversation.summary - Summary of older turns
+ * @returns {string} Conversation block, or '' for a new conversation
+ */
+export function formatConversation({ history = [], summary = '' } = {}) {
+  const parts = [];
+  if (summary) {
+    parts.push(`Summary of earlier conversation: ${summary}`);
+  }
+  if (history.length > 0) {
+    parts.push(formatEntries(history));
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Fold older turns into the summary with the LLM
+ * @param {Object} model - Chat model instance
+ * @param {string} summary - Existing summary
+ * @param {Array} entries - Entries to fold in
+ * @returns {Promise<string>} New summary
+ */
+async function summarizeTurns(model, summary, entries) {
+  const prompt = `Update the summary of a conversation between a user and an assistant.
+
+Current summary: ${summary || '(none)'}
+
+New turns:
+${formatEntries(entries)}
+
+Write a short summary (at most 5 sentences) of the whole conversation. Keep the topics, entities
+and facts a follow-up question could refer to.
+
+Respond ONLY with the summary.`;
+
+  const response = await model.invoke(prompt);
+  return String(response.content).trim();
+}
+
+/**
+ * Keep the history within its window, summarizing the turns that fall out
+ * @param {Object} params - Compaction parameters
+ * @param {Array} params.history - Entries
+ * @param {string} params.summary - Summary of older turns
+ * @param {number} params.maxTurns - Turns kept verbatim (default: RAG_HISTORY_TURNS or 6)
+ * @param {Object} params.model - Chat model for summarizing (default: the summary task model, see llm/models.js)
+ * @returns {Promise<Object>} { history, summary }
+ */
+export async function compactHistory({ history = [], summary = '', maxTurns = getConfig('memory').historyTurns, model }) {
+  const maxEntries = Math.max(maxTurns, 0) * 2;
+  if (history.length <= maxEntries) {
+    return { history, summary };
+  }
+
+  const older = history.slice(0, history.length - maxEntries);
+  const recent = history.slice(history.length - maxEntries);
+
+  try {
+    let summarizer = model;
+    if (!summarizer) {
+      const { getChatModel } = await import('../llm/models.js');
+      summarizer = await getChatModel('summary', { temperature: 0 });
+    }
+    return { history: recent, summary: await summarizeTurns(summarizer, summary, older) };
+  } catch (error) {
+    // Keep the turns rather than lose them; the next turn tries again
+    console.error('⚠️  Error summarizing conversation history:', error.message);
+    return { history, summary };
+  }
+}
+
+export default {
+  appendTurn,
+  normalizeHistory,
+  formatConversation,
+  compactHistory,
+};
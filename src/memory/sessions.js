@@ -0,0 +1,199 @@
+import { readFile, writeFile, readdir, rename, unlink, mkdir } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getConfig } from '../config/config.js';
+
+/**
+ * CLI Sessions
+ *
+ * A session is a named conversation saved to disk, one JSON file per session
+ * in RAG_SESSIONS_DIR (default: .data/sessions):
+ * {
+ *   id, name, tenant, filters, threadId, createdAt, updatedAt,
+ *   turns: [{ query, answer, fileIds, references, chartConfig, timestamp }]
+ * }
+ *
+ * The transcript is what the CLI shows when a session is resumed, and what
+ * the conversation history is rebuilt from when the graph checkpointer no
+ * longer has the thread (e.g. the in-memory checkpointer after a restart).
+ */
+
+/**
+ * Get the directory sessions are stored in
+ * @returns {string} Directory path
+ */
+export function getSessionsDir() {
+  return getConfig('memory').sessionsDir;
+}
+
+/**
+ * Get the file of a session
+ * @param {string} id - Session ID
+ * @returns {string} File path
+ */
+function sessionPath(id) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error(`Invalid session id "${id}"`);
+  }
+  return path.join(getSessionsDir(), `${id}.json`);
+}
+
+/**
+ * Create a new (unsaved) session
+ * @param {Object} options - Session options
+ * @param {string} options.name - Display name (default: "Session <date time>")
+ * @param {string} options.tenant - Tenant (default: RAG_DEFAULT_TENANT or tenant1)
+ * @param {Object} options.filters - Metadata filters (default: none)
+ * @returns {Object} Session
+ */
+export function createSession(options = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID().slice(0, 8),
+    name: options.name || `Session ${now.slice(0, 16).replace('T', ' ')}`,
+    tenant: options.tenant || getConfig('tenants').defaultTenant,
+    filters: options.filters || null,
+    threadId: randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+  };
+}
+
+/**
+ * Save a session (atomic via a temp file)
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} The session, with updatedAt refreshed
+ */
+export async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  const filePath = sessionPath(session.id);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(`${filePath}.tmp`, JSON.stringify(session, null, 2), 'utf8');
+  await rename(`${filePath}.tmp`, filePath);
+  return session;
+}
+
+/**
+ * Load a session by ID
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session, or null if it doesn't exist
+ */
+export async function loadSession(id) {
+  try {
+    return JSON.parse(await readFile(sessionPath(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Could not read session "${id}": ${error.message}`);
+  }
+}
+
+/**
+ * List saved sessions, most recently updated first
+ * @returns {Promise<Array>} Sessions
+ */
+export async function listSessions() {
+  let files;
+  try {
+    files = await readdir(getSessionsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const sessions = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadSession(path.basename(file, '.json')).catch(() => null)));
+
+  return sessions
+    .filter(Boolean)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Find a session by ID or name
+ * @param {string} idOrName - Session ID, or its name (case-insensitive)
+ * @returns {Promise<Object>} Session
+ * @throws {Error} If no session or more than one session matches
+ */
+export async function findSession(idOrName) {
+  const sessions = await listSessions();
+  const byId = sessions.find(session => session.id === idOrName);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = sessions.filter(session => session.name.toLowerCase() === idOrName.toLowerCase());
+  if (byName.length === 1) {
+    return byName[0];
+  }
+  if (byName.length > 1) {
+    throw new Error(`Several sessions are named "${idOrName}"; use the id: ${byName.map(s => s.id).join(', ')}`);
+  }
+  throw new Error(`Unknown session "${idOrName}". Use "sessions" to list them`);
+}
+
+/**
+ * Delete a saved session
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteSession(id) {
+  try {
+    await unlink(sessionPath(id));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a graph result in the session transcript
+ * @param {Object} session - Session
+ * @param {string} query - User's query
+ * @param {Object} result - Final graph state
+ * @returns {Object} The recorded turn
+ */
+export function addTurn(session, query, result) {
+  const turn = {
+    query,
+    answer: result.answer,
+    fileIds: result.fileIds || [],
+    references: result.references || [],
+    chartConfig: result.chartConfig || null,
+    timestamp: new Date().toISOString(),
+  };
+  session.turns.push(turn);
+  return turn;
+}
+
+/**
+ * Rebuild conversation history entries from the transcript
+ * @param {Object} session - Session
+ * @returns {Array} [{ role, content }] (see memory/history.js)
+ */
+export function sessionHistory(session) {
+  return session.turns.flatMap(turn => [
+    { role: 'user', content: turn.query },
+    { role: 'assistant', content: turn.answer },
+  ]);
+}
+
+export default {
+  getSessionsDir,
+  createSession,
+  saveSession,
+  loadSession,
+  listSessions,
+  findSession,
+  deleteSession,
+  addTurn,
+  sessionHistory,
+};
@@ -0,0 +1,284 @@
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateTenantName } from '../database/tenants.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Prompt Registry
+ *
+ * Prompts are named, versioned template files:
+ *   src/prompts/templates/<name>/v<version>.txt
+ *
+ * Each file starts with a front matter block declaring its variables:
+ *   ---
+ *   description: What the prompt does
+ *   output: text | json
+ *   variables: query, conversation
+ *   ---
+ *   User Query: {{query}}
+ *   {{#conversation}}Only rendered when conversation is not empty: {{conversation}}{{/conversation}}
+ *
+ * Every declared variable must be passed when rendering and nothing else may
+ * be; placeholders that are not declared are rejected when the file is loaded.
+ *
+ * Tenants can adjust prompts in RAG_PROMPT_OVERRIDES (default: prompts/tenants):
+ *   <tenant>/profile.json           { tone, language, instructions, versions }
+ *   <tenant>/<name>/v<version>.txt  replaces that template version for the tenant
+ *
+ * The profile is rendered into the {{style}} variable available to every
+ * template: tone and language only apply to text outputs (JSON outputs must
+ * stay parseable); instructions apply to all templates, or per template when
+ * given as { "<name>": "..." }. versions pins template versions per name.
+ */
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+// Variables filled by the registry itself
+const BUILTIN_VARIABLES = ['style'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{\s*#(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\1\s*\}\}/g;
+
+// Parsed files by path, and tenant profiles by tenant
+const templateCache = new Map();
+const profileCache = new Map();
+
+/**
+ * Get the directory of tenant overrides
+ * @returns {string} Directory path
+ */
+function overridesDir() {
+  return getConfig('storage').promptOverrides;
+}
+
+/**
+ * Parse a template file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, for error messages
+ * @returns {Object} { description, output, variables, body }
+ * @throws {Error} If the front matter is missing or placeholders are not declared
+ */
+export function parseTemplate(content, filePath = 'template') {
+  const match = content.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`${filePath}: missing front matter (--- description / output / variables ---)`);
+  }
+
+  const header = {};
+  match[1].split('\n').forEach((line) => {
+    const idx = line.indexOf(':');
+    if (idx > 0) {
+      header[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    }
+  });
+
+  const variables = (header.variables || '').split(',').map(name => name.trim()).filter(Boolean);
+  const output = header.output || 'text';
+  if (!['text', 'json'].includes(output)) {
+    throw new Error(`${filePath}: output must be "text" or "json", got "${output}"`);
+  }
+
+  const body = match[2].trimEnd();
+  const known = new Set([...variables, ...BUILTIN_VARIABLES]);
+  const undeclared = [...body.matchAll(PLACEHOLDER_PATTERN)]
+    .map(placeholder => placeholder[2])
+    .filter(name => !known.has(name));
+  if (undeclared.length > 0) {
+    throw new Error(`${filePath}: undeclared variable(s): ${[...new Set(undeclared)].join(', ')}`);
+  }
+
+  return { description: header.description || '', output, variables, body };
+}
+
+/**
+ * Read and parse a template file (cached)
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Parsed template, or null if the file doesn't exist
+ */
+async function readTemplate(filePath) {
+  if (!templateCache.has(filePath)) {
+    try {
+      templateCache.set(filePath, parseTemplate(await readFile(filePath, 'utf8'), filePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      templateCache.set(filePath, null);
+    }
+  }
+  return templateCache.get(filePath);
+}
+
+/**
+ * List the versions available for a template
+ * @param {string} dir - Template directory
+ * @returns {Promise<number[]>} Versions, ascending
+ */
+async function listVersions(dir) {
+  try {
+    return (await readdir(dir))
+      .map(file => file.match(/^v(\d+)\.txt$/))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a tenant's prompt profile (cached)
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<Object>} { tone, language, instructions, versions }, empty without a profile
+ */
+export async function getTenantProfile(tenant) {
+  if (!tenant) {
+    return {};
+  }
+  if (!profileCache.has(tenant)) {
+    validateTenantName(tenant);
+    const filePath = path.join(overridesDir(), tenant, 'profile.json');
+    try {
+      profileCache.set(tenant, JSON.parse(await readFile(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid prompt profile ${filePath}: ${error.message}`);
+      }
+      profileCache.set(tenant, {});
+    }
+  }
+  return profileCache.get(tenant);
+}
+
+/**
+ * Load a template
+ * @param {string} name - Template name
+ * @param {Object} options - Load options
+ * @param {number} options.version - Version (default: the tenant's pinned version, else the latest)
+ * @param {string} options.tenant - Tenant whose overrides apply
+ * @returns {Promise<Object>} { name, version, source: 'default' | 'tenant', description, output, variables, body }
+ * @throws {Error} If the template or version doesn't exist
+ */
+export async function loadTemplate(name, options = {}) {
+  const { tenant = null } = options;
+  const profile = await getTenantProfile(tenant);
+  const defaultDir = path.join(TEMPLATES_DIR, name);
+  const tenantDir = tenant ? path.join(overridesDir(), tenant, name) : null;
+
+  const available = [...new Set([
+    ...await listVersions(defaultDir),
+    ...(tenantDir ? await listVersions(tenantDir) : []),
+  ])].sort((a, b) => a - b);
+
+  if (available.length === 0) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+
+  const version = Number(options.version ?? profile.versions?.[name] ?? available[available.length - 1]);
+  if (!available.includes(version)) {
+    throw new Error(`Prompt template "${name}" has no version ${version}. Available: ${available.join(', ')}`);
+  }
+
+  const tenantTemplate = tenantDir ? await readTemplate(path.join(tenantDir, `v${version}.txt`)) : null;
+  const template = tenantTemplate || await readTemplate(path.join(defaultDir, `v${version}.txt`));
+
+  return { name, version, source: tenantTemplate ? 'tenant' : 'default', ...template };
+}
+
+/**
+ * Build the style block of a tenant for a template
+ * @param {Object} profile - Tenant profile
+ * @param {Object} template - Loaded template
+ * @returns {string} Instruction lines, or ''
+ */
+function buildStyle(profile, template) {
+  const lines = [];
+  if (template.output === 'text' && profile.language) {
+    lines.push(`- Respond in ${profile.language}`);
+  }
+  if (template.output === 'text' && profile.tone) {
+    lines.push(`- Use a ${profile.tone} tone`);
+  }
+  const instructions = typeof profile.instructions === 'string'
+    ? profile.instructions
+    : profile.instructions?.[template.name];
+  if (instructions) {
+    lines.push(...String(instructions).split('\n').map(line => (line.startsWith('- ') ? line : `- ${line}`)));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} variables - Values of the template's declared variables ('' for none)
+ * @param {Object} options - { tenant, version } (see loadTemplate)
+ * @returns {Promise<Object>} { text, name, version, source }
+ * @throws {Error} If a declared variable is missing or an unknown one is passed
+ */
+export async function renderPrompt(name, variables = {}, options = {}) {
+  const template = await loadTemplate(name, options);
+
+  const missing = template.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+  if (missing.length > 0) {
+    throw new Error(`Prompt "${name}" v${template.version} is missing variable(s): ${missing.join(', ')}`);
+  }
+  const unknown = Object.keys(variables).filter(variable => !template.variables.includes(variable));
+  if (unknown.length > 0) {
+    throw new Error(`Prompt "${name}" v${template.version} does not use variable(s): ${unknown.join(', ')}`);
+  }
+
+  const values = {
+    ...Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, String(value)])),
+    style: buildStyle(await getTenantProfile(options.tenant), template),
+  };
+
+  const text = template.body
+    .replace(SECTION_PATTERN, (_, variable, section) => (values[variable] ? section : ''))
+    .replace(PLACEHOLDER_PATTERN, (_, marker, variable) => (marker ? '' : values[variable]));
+
+  return { text, name, version: template.version, source: template.source };
+}
+
+/**
+ * Describe a rendered prompt for response metadata
+ * @param {Object} prompt - Result of renderPrompt()
+ * @returns {Object} { name, version, source }
+ */
+export function promptInfo(prompt) {
+  return { name: prompt.name, version: prompt.version, source: prompt.source };
+}
+
+/**
+ * List the built-in templates
+ * @returns {Promise<Array>} [{ name, versions }]
+ */
+export async function listTemplates() {
+  const names = await readdir(TEMPLATES_DIR);
+  return Promise.all(names.sort().map(async name => ({
+    name,
+    versions: await listVersions(path.join(TEMPLATES_DIR, name)),
+  })));
+}
+
+/**
+ * Forget loaded templates and profiles (e.g. after editing the files)
+ */
+export function clearPromptCache() {
+  templateCache.clear();
+  profileCache.clear();
+}
+
+export default {
+  parseTemplate,
+  getTenantProfile,
+  loadTemplate,
+  renderPrompt,
+  promptInfo,
+  listTemplates,
+  clearPromptCache,
+};
@@ -0,0 +1,106 @@
+/**
+ * In-process BM25 index
+ *
+ * A small Okapi BM25 implementation used by the in-memory retriever. It
+ * mirrors what Weaviate does for QACollection: documents are scored on their
+ * question and answer text, with English stopwords removed.
+ *
+ * Question words are stopwords too. Every stored question starts with one, so
+ * "What is the boiling point of tungsten?" would otherwise score on "what"
+ * alone and pass the relevance threshold against any "What is ...?" entry.
+ */
+
+// Weaviate's default "en" stopword preset, plus question words
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will', 'with',
+  'what', 'how', 'which', 'who', 'when', 'where', 'why',
+]);
+
+/**
+ * Split text into lowercase word tokens without stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+/**
+ * Create a BM25 index
+ * @param {Object} options - BM25 parameters
+ * @param {number} options.k1 - Term frequency saturation (default: 1.2, as in Weaviate)
+ * @param {number} options.b - Length normalisation (default: 0.75, as in Weaviate)
+ * @param {Function} options.getText - (doc) => text to index
+ * @returns {Object} Index with add(), search() and size
+ */
+export function createBM25Index(options = {}) {
+  const { k1 = 1.2, b = 0.75, getText = doc => String(doc) } = options;
+
+  const docs = [];              // { doc, termFreqs: Map, length }
+  const docFreqs = new Map();   // term → number of documents containing it
+  let totalLength = 0;
+
+  return {
+    get size() {
+      return docs.length;
+    },
+
+    /**
+     * Add a document to the index
+     * @param {*} doc - Document (returned as-is by search)
+     */
+    add(doc) {
+      const tokens = tokenize(getText(doc));
+      const termFreqs = new Map();
+      tokens.forEach(token => termFreqs.set(token, (termFreqs.get(token) || 0) + 1));
+      termFreqs.forEach((_, term) => docFreqs.set(term, (docFreqs.get(term) || 0) + 1));
+
+      docs.push({ doc, termFreqs, length: tokens.length });
+      totalLength += tokens.length;
+    },
+
+    /**
+     * Search the index
+     * @param {string} query - Query text
+     * @param {number} limit - Maximum results
+     * @returns {Array} [{ doc, score }] sorted by descending score, only matching documents
+     */
+    search(query, limit = 5) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0 || docs.length === 0) {
+        return [];
+      }
+
+      const avgLength = totalLength / docs.length;
+      const results = [];
+
+      for (const entry of docs) {
+        let score = 0;
+        for (const term of terms) {
+          const tf = entry.termFreqs.get(term);
+          if (!tf) {
+            continue;
+          }
+          const df = docFreqs.get(term);
+          const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (entry.length / avgLength)));
+        }
+        if (score > 0) {
+          results.push({ doc: entry.doc, score });
+        }
+      }
+
+      return results
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+export default {
+  tokenize,
+  createBM25Index,
+};
@@ -0,0 +1,171 @@
+import { Filters } from 'weaviate-client';
+
+/**
+ * Metadata filters
+ *
+ * Restrict retrieval to a subset of a tenant's entries. A filter spec is a
+ * plain object, all fields optional and combined with AND:
+ *
+ *   {
+ *     fileIds: ['FILE-002'],          // only these entries
+ *     excludeFileIds: ['FILE-001'],   // never these entries
+ *     tags: ['finance'],              // entries with any of these tags
+ *     sourceTypes: ['markdown'],      // entries ingested from these formats
+ *     createdAfter: '2025-07-01',     // createdAt >= date
+ *     createdBefore: '2025-10-01',    // createdAt < date
+ *   }
+ *
+ * The same spec is translated to Weaviate filters and evaluated in process by
+ * the in-memory retriever.
+ */
+
+const LIST_FIELDS = ['fileIds', 'excludeFileIds', 'tags', 'sourceTypes'];
+const DATE_FIELDS = ['createdAfter', 'createdBefore'];
+
+/**
+ * Validate and normalise a filter spec
+ * Lists accept arrays or comma separated strings, dates accept ISO strings or Date.
+ * @param {Object} spec - Filter spec (see above)
+ * @returns {Object|null} Normalised filters, or null when nothing is filtered
+ * @throws {Error} On unknown fields or invalid dates
+ */
+export function normalizeFilters(spec) {
+  if (!spec) {
+    return null;
+  }
+
+  const unknown = Object.keys(spec).filter(key => !LIST_FIELDS.includes(key) && !DATE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter field(s): ${unknown.join(', ')}. Use: ${[...LIST_FIELDS, ...DATE_FIELDS].join(', ')}`);
+  }
+
+  const filters = {};
+
+  for (const field of LIST_FIELDS) {
+    const value = spec[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    if (list.length > 0) {
+      filters[field] = [...new Set(list)];
+    }
+  }
+
+  for (const field of DATE_FIELDS) {
+    const value = spec[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date for ${field}: "${value}"`);
+    }
+    filters[field] = date;
+  }
+
+  if (filters.createdAfter && filters.createdBefore && filters.createdAfter >= filters.createdBefore) {
+    throw new Error('createdAfter must be before createdBefore');
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Build a Weaviate filter for a tenant collection
+ * @param {Object} collection - Weaviate collection (or tenant collection)
+ * @param {Object} filters - Normalised filters from normalizeFilters()
+ * @returns {Object|undefined} Weaviate filter, undefined when nothing is filtered
+ */
+export function buildWeaviateFilter(collection, filters) {
+  if (!filters) {
+    return undefined;
+  }
+
+  const conditions = [];
+  const byProperty = name => collection.filter.byProperty(name);
+
+  if (filters.fileIds) {
+    conditions.push(byProperty('fileId').containsAny(filters.fileIds));
+  }
+  if (filters.excludeFileIds) {
+    // notEqual per id works on every server version, unlike containsNone
+    filters.excludeFileIds.forEach(fileId => conditions.push(byProperty('fileId').notEqual(fileId)));
+  }
+  if (filters.tags) {
+    conditions.push(byProperty('tags').containsAny(filters.tags));
+  }
+  if (filters.sourceTypes) {
+    conditions.push(byProperty('sourceType').containsAny(filters.sourceTypes));
+  }
+  if (filters.createdAfter) {
+    conditions.push(byProperty('createdAt').greaterOrEqual(filters.createdAfter));
+  }
+  if (filters.createdBefore) {
+    conditions.push(byProperty('createdAt').lessThan(filters.createdBefore));
+  }
+
+  return conditions.length === 1 ? conditions[0] : Filters.and(...conditions);
+}
+
+/**
+ * Check an entry's properties against filters (in-process evaluation)
+ * @param {Object} properties - Entry properties
+ * @param {Object} filters - Normalised filters from normalizeFilters()
+ * @returns {boolean} True if the entry passes every filter
+ */
+export function matchesFilters(properties, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  if (filters.fileIds && !filters.fileIds.includes(properties.fileId)) {
+    return false;
+  }
+  if (filters.excludeFileIds && filters.excludeFileIds.includes(properties.fileId)) {
+    return false;
+  }
+  if (filters.tags && !(properties.tags || []).some(tag => filters.tags.includes(tag))) {
+    return false;
+  }
+  if (filters.sourceTypes && !filters.sourceTypes.includes(properties.sourceType)) {
+    return false;
+  }
+  if (filters.createdAfter || filters.createdBefore) {
+    const createdAt = properties.createdAt ? new Date(properties.createdAt) : null;
+    if (!createdAt || Number.isNaN(createdAt.getTime())) {
+      return false;
+    }
+    if (filters.createdAfter && createdAt < filters.createdAfter) {
+      return false;
+    }
+    if (filters.createdBefore && createdAt >= filters.createdBefore) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Describe filters in one line for logs and the CLI
+ * @param {Object} filters - Normalised filters from normalizeFilters()
+ * @returns {string} Description, 'none' when nothing is filtered
+ */
+export function describeFilters(filters) {
+  if (!filters) {
+    return 'none';
+  }
+
+  return Object.entries(filters)
+    .map(([field, value]) => `${field}=${value instanceof Date ? value.toISOString().slice(0, 10) : value.join(',')}`)
+    .join(' ');
+}
+
+export default {
+  normalizeFilters,
+  buildWeaviateFilter,
+  matchesFilters,
+  describeFilters,
+};
@@ -0,0 +1,47 @@
+/**
+ * Result fusion
+ *
+ * Merges the ranked result lists of several queries into one list.
+ */
+
+/**
+ * Reciprocal rank fusion (RRF)
+ * Each document scores sum(1 / (k + rank)) over the lists it appears in, so
+ * documents found by several queries rise to the top regardless of the raw
+ * score scales. The kept object is the occurrence with the highest
+ * metadata.score, and its metadata gains fusedScore and matchedQueries.
+ * @param {Array<Array>} resultLists - Ranked retrieved objects per query (best first)
+ * @param {Object} options - Fusion options
+ * @param {number} options.k - Rank damping constant (default: 60)
+ * @param {Function} options.getId - (doc) => identity used to merge duplicates (default: doc.uuid)
+ * @returns {Array} Fused objects, best first
+ */
+export function reciprocalRankFusion(resultLists, options = {}) {
+  const { k = 60, getId = doc => doc.uuid } = options;
+  const fused = new Map();   // id → { doc, fusedScore, matchedQueries }
+
+  resultLists.forEach((results, listIdx) => {
+    results.forEach((doc, rank) => {
+      const id = getId(doc);
+      const entry = fused.get(id) || { doc, fusedScore: 0, matchedQueries: [] };
+
+      entry.fusedScore += 1 / (k + rank + 1);
+      entry.matchedQueries.push(listIdx);
+      if ((doc.metadata?.score ?? 0) > (entry.doc.metadata?.score ?? 0)) {
+        entry.doc = doc;
+      }
+      fused.set(id, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .sort((x, y) => y.fusedScore - x.fusedScore)
+    .map(({ doc, fusedScore, matchedQueries }) => ({
+      ...doc,
+      metadata: { ...doc.metadata, fusedScore, matchedQueries },
+    }));
+}
+
+export default {
+  reciprocalRankFusion,
+};
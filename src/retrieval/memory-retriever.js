@@ -0,0 +1,262 @@
+import { readFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createBM25Index } from './bm25.js';
+import { matchesFilters, normalizeFilters } from './filters.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * In-memory retriever backend
+ *
+ * Keeps Q&A entries in process and searches them with BM25, so the RAG path
+ * runs without a Weaviate container (offline development and tests).
+ * Entries are grouped by tenant, just like QACollection.
+ *
+ * Data can be loaded from:
+ * - a JSONL file, one entry per line: {"tenant", "fileId", "question", "answer"}
+ * - a JSON file: an array of such entries, or an object { "<tenant>": [entries] }
+ * - a directory of .json/.jsonl files; entries without a tenant field use the
+ *   file name as tenant (so data/seed/tenant1.jsonl works as-is)
+ */
+
+const DEFAULT_DATA_PATH = fileURLToPath(new URL('../../data/seed/', import.meta.url));
+
+/**
+ * Parse one data file into entries
+ * @param {string} filePath - .json or .jsonl file
+ * @returns {Promise<Array>} Entries, each with a tenant
+ */
+async function readDataFile(filePath) {
+  const content = await readFile(filePath, 'utf8');
+  const defaultTenant = path.basename(filePath).replace(/\.jsonl?$/i, '');
+  let entries;
+
+  if (filePath.toLowerCase().endsWith('.jsonl')) {
+    entries = content
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .map((line, idx) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`${filePath}:${idx + 1}: invalid JSON (${error.message})`);
+        }
+      });
+  } else {
+    const parsed = JSON.parse(content);
+    entries = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).flatMap(([tenant, items]) => items.map(item => ({ tenant, ...item })));
+  }
+
+  return entries.map(entry => ({ tenant: defaultTenant, ...entry }));
+}
+
+/**
+ * Load entries from a file or directory
+ * @param {string} dataPath - File or directory
+ * @returns {Promise<Array>} Entries, each with a tenant
+ */
+export async function loadEntries(dataPath) {
+  const info = await stat(dataPath);
+
+  if (!info.isDirectory()) {
+    return readDataFile(dataPath);
+  }
+
+  const files = (await readdir(dataPath))
+    .filter(file => /\.jsonl?$/i.test(file))
+    .sort();
+
+  const entries = [];
+  for (const file of files) {
+    entries.push(...await readDataFile(path.join(dataPath, file)));
+  }
+  return entries;
+}
+
+/**
+ * Create the in-memory retriever
+ * @param {Object} options - Retriever options
+ * @param {string} options.dataPath - File or directory to load (default: RAG_MEMORY_DATA or data/seed)
+ * @param {Array} options.entries - Entries to load instead of (or in addition to) dataPath
+ * @returns {Promise<Object>} Retriever (see retriever.js) with an extra addDocuments()
+ */
+export async function createInMemoryRetriever(options = {}) {
+  const {
+    dataPath = getConfig('retrieval').memoryData || DEFAULT_DATA_PATH,
+    entries = null,
+  } = options;
+
+  const tenants = new Map();   // tenant → { entries: [], index, revision }
+  let warnedAboutMode = false;
+
+  const createIndex = () => createBM25Index({ getText: obj => `${obj.properties.question} ${obj.properties.answer}` });
+
+  /**
+   * Add Q&A entries to a tenant (creates the tenant if needed)
+   * An entry with the fileId of an existing one replaces it, like the
+   * deterministic ids of the Weaviate backend.
+   * @param {string} tenant - Tenant name
+   * @param {Array} docs - Entries with fileId, question, answer
+   */
+  const addDocuments = (tenant, docs) => {
+    if (!tenants.has(tenant)) {
+      tenants.set(tenant, { entries: [], index: createIndex(), revision: 0 });
+    }
+
+    const shard = tenants.get(tenant);
+    shard.revision += 1;
+    const positions = new Map(shard.entries.map((obj, idx) => [obj.uuid, idx]));
+    let replaced = false;
+    for (const doc of docs) {
+      const { tenant: _tenant, ...properties } = doc;
+      const obj = {
+        uuid: `${tenant}:${properties.fileId}`,
+        properties,
+        metadata: {},
+      };
+      if (positions.has(obj.uuid)) {
+        shard.entries[positions.get(obj.uuid)] = obj;
+        replaced = true;
+      } else {
+        positions.set(obj.uuid, shard.entries.length);
+        shard.entries.push(obj);
+        shard.index.add(obj);
+      }
+    }
+
+    // The index can't remove documents, so it is rebuilt when entries were replaced
+    if (replaced) {
+      shard.index = createIndex();
+      shard.entries.forEach(obj => shard.index.add(obj));
+    }
+  };
+
+  /**
+   * Get a tenant shard, failing like Weaviate does for unknown tenants
+   * @param {string} tenant - Tenant name
+   * @returns {Object} Shard
+   */
+  const getShard = (tenant) => {
+    const shard = tenants.get(tenant);
+    if (!shard) {
+      throw new Error(`Tenant "${tenant}" not found`);
+    }
+    return shard;
+  };
+
+  const loaded = entries ? [...entries] : [];
+  if (!entries || options.dataPath) {
+    loaded.push(...await loadEntries(dataPath));
+  }
+
+  const byTenant = new Map();
+  loaded.forEach((entry) => {
+    byTenant.set(entry.tenant, [...(byTenant.get(entry.tenant) || []), entry]);
+  });
+  byTenant.forEach((docs, tenant) => addDocuments(tenant, docs));
+
+  return {
+    name: 'memory',
+    searchModes: ['bm25'],
+
+    async retrieve(query, { tenant, limit = 5, mode = 'bm25', filters = null } = {}) {
+      if (mode !== 'bm25' && !warnedAboutMode) {
+        console.log(`⚠️  In-memory retriever only supports bm25, ignoring mode "${mode}"`);
+        warnedAboutMode = true;
+      }
+
+      const shard = getShard(tenant);
+      // Rank every match when filtering, so filtered-out entries don't use up the limit
+      return shard.index.search(query, filters ? shard.index.size : limit)
+        .filter(({ doc }) => matchesFilters(doc.properties, filters))
+        .slice(0, limit)
+        .map(({ doc, score }) => ({
+          ...doc,
+          metadata: { ...doc.metadata, score },
+        }));
+    },
+
+    async fetchAll(tenant, { limit = 100, filters = null } = {}) {
+      return getShard(tenant).entries
+        .filter(doc => matchesFilters(doc.properties, filters))
+        .slice(0, limit);
+    },
+
+    async dataVersion(tenant) {
+      const shard = getShard(tenant);
+      return `${shard.entries.length}:${shard.revision}`;
+    },
+
+    async listTenants() {
+      return [...tenants.keys()]
+        .sort()
+        .map(name => ({ name, activityStatus: 'ACTIVE' }));
+    },
+
+    addDocuments,
+  };
+}
+
+/**
+ * Test the in-memory retriever with the seed data (no Weaviate needed)
+ */
+async function testInMemoryRetriever() {
+  console.log('🧪 Testing In-Memory Retriever...\n');
+
+  const retriever = await createInMemoryRetriever();
+  const tenants = await retriever.listTenants();
+  console.log('📂 Tenants:', tenants.map(t => t.name).join(', '));
+
+  const cases = [
+    { query: 'What is the capital of France?', tenant: 'tenant1', expected: 'FILE-001' },
+    { query: 'Who wrote Romeo and Juliet?', tenant: 'tenant2', expected: 'FILE-004' },
+    { query: 'artificial intelligence', tenant: 'tenant3', expected: 'FILE-005' },
+  ];
+
+  for (const testCase of cases) {
+    const results = await retriever.retrieve(testCase.query, { tenant: testCase.tenant, limit: 3 });
+    const top = results[0]?.properties.fileId;
+    if (top !== testCase.expected) {
+      throw new Error(`Expected ${testCase.expected} for "${testCase.query}", got ${top}`);
+    }
+    console.log(`✅ "${testCase.query}" → ${top} (score ${results[0].metadata.score.toFixed(3)})`);
+  }
+
+  const filtered = await retriever.retrieve('What is the capital of France?', {
+    tenant: 'tenant1',
+    filters: normalizeFilters({ excludeFileIds: ['FILE-001'] }),
+  });
+  if (filtered.some(obj => obj.properties.fileId === 'FILE-001')) {
+    throw new Error('excludeFileIds filter was not applied');
+  }
+  console.log(`✅ Filter excludeFileIds=FILE-001 → ${filtered.map(obj => obj.properties.fileId).join(', ') || 'no results'}`);
+
+  const before = (await retriever.fetchAll('tenant1', { limit: 1000 })).length;
+  retriever.addDocuments('tenant1', [{ fileId: 'FILE-001', question: 'What is the capital of France?', answer: 'Paris, on the Seine.' }]);
+  const after = await retriever.fetchAll('tenant1', { limit: 1000 });
+  const replaced = after.find(obj => obj.properties.fileId === 'FILE-001');
+  if (after.length !== before || replaced.properties.answer !== 'Paris, on the Seine.') {
+    throw new Error(`Re-adding FILE-001 should replace it (${before} → ${after.length} entries)`);
+  }
+  console.log(`✅ Re-adding FILE-001 replaced it (${after.length} entries)`);
+
+  console.log('\n🎉 In-memory retriever tests passed!\n');
+}
+
+export default {
+  loadEntries,
+  createInMemoryRetriever,
+  testInMemoryRetriever,
+};
+
+// Run test if called directly
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  testInMemoryRetriever()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Test failed:', error);
+      process.exit(1);
+    });
+}
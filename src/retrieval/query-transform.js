@@ -0,0 +1,145 @@
+import { tokenize } from './bm25.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Query transformation
+ *
+ * Turns the user's sentence into the queries actually sent to the retriever:
+ * - keywords: drops question and filler words, keeping the searchable terms
+ * - llm: asks the model for a keyword rewrite and splits compound questions
+ *   into sub-queries
+ * - none: the sentence as-is
+ *
+ * The original query is always searched too, so a poor rewrite can only add
+ * candidates, never lose them.
+ */
+
+export const QUERY_TRANSFORMS = ['none', 'keywords', 'llm'];
+
+// Words that carry no search value in a question, on top of the BM25 stopwords
+// (which include what, how, which, who, when, where and why)
+const FILLER_WORDS = new Set([
+  'whats', 'whom', 'whose',
+  'do', 'does', 'did', 'can', 'could', 'would', 'should', 'shall', 'may', 'might',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'please', 'tell', 'explain',
+  'describe', 'know', 'want', 'like', 'about', 'some', 'any', 'also', 'get', 'give',
+  'show', 'find', 'has', 'have', 'had', 'been', 'being', 'were', 's',
+]);
+
+/**
+ * Keyword rewrite without the LLM
+ * @param {string} query - User query
+ * @returns {string} Space separated search terms ('' if nothing is left)
+ */
+export function keywordRewrite(query) {
+  return tokenize(query)
+    .filter(token => !FILLER_WORDS.has(token))
+    .join(' ');
+}
+
+/**
+ * Ask the LLM for a keyword rewrite and sub-queries
+ * @param {Object} model - Chat model instance
+ * @param {string} query - User query
+ * @param {number} maxSubQueries - Maximum number of sub-queries
+ * @returns {Promise<Object|null>} { keywords, subQueries }, or null if the call failed
+ */
+async function llmRewrite(model, query, maxSubQueries) {
+  const prompt = `You prepare search queries for a keyword (BM25) search over a Q&A knowledge base.
+
+User Question: "${query}"
+
+1. Rewrite the question as a short list of search keywords (no filler words).
+2. If the question asks about several distinct things, split it into self-contained sub-questions
+   (at most ${maxSubQueries}). Otherwise return an empty list.
+
+Respond in JSON format:
+{
+  "keywords": "space separated keywords",
+  "subQueries": ["first sub-question", "second sub-question"]
+}
+
+Respond ONLY with valid JSON, no other text.`;
+
+  try {
+    const response = await model.invoke(prompt);
+    const jsonMatch = String(response.content).match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return null;
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    return {
+      keywords: typeof parsed.keywords === 'string' ? parsed.keywords.trim() : '',
+      subQueries: Array.isArray(parsed.subQueries)
+        ? parsed.subQueries.filter(q => typeof q === 'string' && q.trim()).map(q => q.trim())
+        : [],
+    };
+  } catch (error) {
+    console.error('⚠️  Error rewriting query:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Transform a user query into the queries to retrieve with
+ * @param {string} query - User query
+ * @param {Object} options - Transform options
+ * @param {string} options.strategy - 'none', 'keywords' or 'llm' (default: RAG_QUERY_TRANSFORM or 'keywords')
+ * @param {Object} options.model - Chat model for the llm strategy (default: the query-transform task model, see llm/models.js)
+ * @param {number} options.maxSubQueries - Maximum sub-queries for the llm strategy (default: 3)
+ * @returns {Promise<Object>} { strategy, original, rewrites, subQueries, queries }; queries starts
+ *   with the original and has no duplicates
+ */
+export async function transformQuery(query, options = {}) {
+  const {
+    strategy = getConfig('retrieval').queryTransform,
+    maxSubQueries = 3,
+  } = options;
+
+  if (!QUERY_TRANSFORMS.includes(strategy)) {
+    throw new Error(`Invalid query transform "${strategy}". Use one of: ${QUERY_TRANSFORMS.join(', ')}`);
+  }
+
+  let rewrites = [];
+  let subQueries = [];
+
+  if (strategy === 'keywords') {
+    rewrites = [keywordRewrite(query)];
+  } else if (strategy === 'llm') {
+    let model = options.model;
+    if (!model) {
+      const { getChatModel } = await import('../llm/models.js');
+      model = await getChatModel('query-transform', { temperature: 0 });
+    }
+
+    const result = await llmRewrite(model, query, maxSubQueries);
+    // Fall back to the offline rewrite so a failed call still strips filler words
+    rewrites = [result?.keywords || keywordRewrite(query)];
+    subQueries = (result?.subQueries || []).slice(0, maxSubQueries);
+  }
+
+  const seen = new Set();
+  const queries = [query, ...rewrites, ...subQueries].filter((q) => {
+    const key = q.trim().toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    strategy,
+    original: query,
+    rewrites: rewrites.filter(Boolean),
+    subQueries,
+    queries,
+  };
+}
+
+export default {
+  QUERY_TRANSFORMS,
+  keywordRewrite,
+  transformQuery,
+};
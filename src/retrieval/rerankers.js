@@ -0,0 +1,190 @@
+import { tokenize } from './bm25.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Rerankers
+ *
+ * A reranker reorders retrieved candidates before they are packed into the
+ * prompt. The RAG agent over-fetches candidates, reranks them and keeps the
+ * top ones.
+ *
+ * @typedef {Object} Reranker
+ * @property {string} name - Reranker name
+ * @property {(query: string, docs: Array, options: Object) => Promise<Array>} rerank
+ *   Reorder retrieved objects (see retriever.js) for the query. Options: { topK }.
+ *   Resolves to at most topK objects, best first, each with metadata.rerankScore (0-1).
+ */
+
+/**
+ * Text a reranker scores for one retrieved object
+ * @param {Object} doc - Retrieved object
+ * @returns {string} Question and answer text
+ */
+function documentText(doc) {
+  return `${doc.properties.question} ${doc.properties.answer}`;
+}
+
+/**
+ * Attach rerank scores, sort by them and keep the top ones
+ * @param {Array} docs - Retrieved objects
+ * @param {number[]} scores - Score per object, same order
+ * @param {number} topK - Number of objects to keep
+ * @returns {Array} Reranked objects
+ */
+function applyScores(docs, scores, topK) {
+  return docs
+    .map((doc, idx) => ({
+      ...doc,
+      metadata: { ...doc.metadata, rerankScore: scores[idx] },
+    }))
+    .sort((x, y) => y.metadata.rerankScore - x.metadata.rerankScore)
+    .slice(0, topK);
+}
+
+/**
+ * Lexical-overlap reranker (offline, no model calls)
+ * Scores the share of query terms found in the document, with terms matched in
+ * the stored question counting extra, since questions are short and targeted.
+ * @param {Object} options - Reranker options
+ * @param {number} options.questionWeight - Weight of question matches vs answer matches (default: 0.6)
+ * @returns {Reranker} Reranker
+ */
+export function createLexicalReranker(options = {}) {
+  const { questionWeight = 0.6 } = options;
+
+  return {
+    name: 'lexical',
+
+    async rerank(query, docs, { topK = docs.length } = {}) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) {
+        return applyScores(docs, docs.map(() => 0), topK);
+      }
+
+      const scores = docs.map((doc) => {
+        const questionTerms = new Set(tokenize(doc.properties.question));
+        const answerTerms = new Set(tokenize(doc.properties.answer));
+        const inQuestion = terms.filter(term => questionTerms.has(term)).length / terms.length;
+        const inAnswer = terms.filter(term => answerTerms.has(term)).length / terms.length;
+        return questionWeight * inQuestion + (1 - questionWeight) * inAnswer;
+      });
+
+      return applyScores(docs, scores, topK);
+    },
+  };
+}
+
+/**
+ * LLM reranker
+ * Asks the chat model to grade every candidate in a single call. If the call
+ * or its output fails, the retrieval order is kept and rerankScore is null.
+ * @param {Object} options - Reranker options
+ * @param {Object} options.model - Chat model instance (default: the rerank task model, see llm/models.js)
+ * @param {number} options.maxChars - Characters of each answer shown to the model (default: 500)
+ * @returns {Reranker} Reranker
+ */
+export function createLLMReranker(options = {}) {
+  const { maxChars = 500 } = options;
+  let model = options.model || null;
+
+  return {
+    name: 'llm',
+
+    async rerank(query, docs, { topK = docs.length } = {}) {
+      if (docs.length === 0) {
+        return [];
+      }
+
+      if (!model) {
+        const { getChatModel } = await import('../llm/models.js');
+        model = await getChatModel('rerank', { temperature: 0 });
+      }
+
+      const candidates = docs
+        .map((doc, idx) => {
+          const answer = doc.properties.answer.length > maxChars
+            ? `${doc.properties.answer.slice(0, maxChars)}...`
+            : doc.properties.answer;
+          return `[${idx}] Question: ${doc.properties.question}\nAnswer: ${answer}`;
+        })
+        .join('\n\n');
+
+      const prompt = `You are ranking documents by how well they answer a user's question.
+
+User Question: "${query}"
+
+Documents:
+${candidates}
+
+Grade every document from 0 (irrelevant) to 10 (answers the question directly).
+Respond ONLY with a JSON array of grades in document order, e.g. [7, 0, 3].`;
+
+      try {
+        const response = await model.invoke(prompt);
+        const jsonMatch = String(response.content).match(/\[[\s\S]*?\]/);
+        const grades = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+
+        if (!Array.isArray(grades) || grades.length !== docs.length || grades.some(g => typeof g !== 'number')) {
+          throw new Error('Unexpected grades format');
+        }
+
+        return applyScores(docs, grades.map(g => Math.min(Math.max(g, 0), 10) / 10), topK);
+      } catch (error) {
+        console.error('⚠️  Error reranking with LLM, keeping retrieval order:', error.message);
+        return docs
+          .slice(0, topK)
+          .map(doc => ({ ...doc, metadata: { ...doc.metadata, rerankScore: null } }));
+      }
+    },
+  };
+}
+
+// Reranker factories: (options) => Reranker
+const rerankers = {
+  lexical: createLexicalReranker,
+  llm: createLLMReranker,
+};
+
+/**
+ * Register a custom reranker
+ * @param {string} name - Reranker name used in RAG_RERANKER or createReranker()
+ * @param {Function} factory - (options) => Reranker
+ */
+export function registerReranker(name, factory) {
+  rerankers[name] = factory;
+}
+
+/**
+ * Create a reranker
+ * @param {string} name - Reranker name ('lexical', 'llm' or a registered one)
+ * @param {Object} options - Reranker specific options
+ * @returns {Reranker} Reranker instance
+ */
+export function createReranker(name, options = {}) {
+  const factory = rerankers[name];
+  if (!factory) {
+    throw new Error(`Unknown reranker "${name}". Available: ${Object.keys(rerankers).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Resolve the reranker for a request
+ * @param {string|Object|null} reranker - Reranker name, instance, or 'none'/null for no reranking
+ *   (default: RAG_RERANKER, unset means no reranking)
+ * @returns {Reranker|null} Reranker instance, or null when reranking is off
+ */
+export function resolveReranker(reranker = getConfig('retrieval').reranker) {
+  if (!reranker || reranker === 'none') {
+    return null;
+  }
+  return typeof reranker === 'string' ? createReranker(reranker) : reranker;
+}
+
+export default {
+  createLexicalReranker,
+  createLLMReranker,
+  registerReranker,
+  createReranker,
+  resolveReranker,
+};
@@ -0,0 +1,108 @@
+import { createWeaviateRetriever } from './weaviate-retriever.js';
+import { createInMemoryRetriever } from './memory-retriever.js';
+import { getConfig, SEARCH_MODES } from '../config/config.js';
+
+/**
+ * Retriever Interface
+ *
+ * The RAG agent talks to its document store only through a retriever, so the
+ * store can be swapped (Weaviate, in-process BM25, or another vector store).
+ *
+ * @typedef {Object} Retriever
+ * @property {string} name - Backend name
+ * @property {string[]} searchModes - Supported search modes ('bm25', 'vector', 'hybrid')
+ * @property {(query: string, options: Object) => Promise<Array>} retrieve
+ *   Search one tenant. Options: { tenant, limit, mode, alpha, maxVectorDistance, filters }
+ *   where filters are normalised metadata filters (see filters.js).
+ *   Resolves to objects shaped like Weaviate results, best first:
+ *   { uuid, properties: { fileId, question, answer, ... }, metadata: { score } }
+ *   Scores are higher-is-better; their scale depends on the mode (BM25 is
+ *   unbounded, vector and hybrid are cosine similarity; hybrid results are ordered by
+ *   their fused score, kept in metadata.hybridScore).
+ * @property {(tenant: string, options: Object) => Promise<Array>} fetchAll
+ *   Fetch up to options.limit objects of a tenant matching options.filters, same shape as retrieve()
+ * @property {(tenant: string) => Promise<string>} [dataVersion]
+ *   Optional. Version stamp of a tenant's data that changes whenever its objects change
+ *   (used to invalidate cached answers, see cache/answer-cache.js)
+ * @property {() => Promise<Array>} listTenants
+ *   Resolves to [{ name, activityStatus }]
+ */
+
+export { SEARCH_MODES };
+
+// Backend factories: (options) => Retriever | Promise<Retriever>
+const backends = {
+  weaviate: createWeaviateRetriever,
+  memory: createInMemoryRetriever,
+};
+
+let defaultRetriever = null;
+
+/**
+ * Register a custom retriever backend
+ * @param {string} name - Backend name used in RAG_RETRIEVER or createRetriever()
+ * @param {Function} factory - (options) => Retriever | Promise<Retriever>
+ */
+export function registerRetriever(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create a retriever
+ * @param {string} name - Backend name ('weaviate', 'memory' or a registered one)
+ * @param {Object} options - Backend specific options
+ * @returns {Promise<Retriever>} Retriever instance
+ */
+export async function createRetriever(name, options = {}) {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown retriever "${name}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Get the default retriever, selected with RAG_RETRIEVER (default: 'weaviate')
+ * The instance is created once and shared.
+ * @returns {Promise<Retriever>} Retriever instance
+ */
+export async function getRetriever() {
+  if (!defaultRetriever) {
+    const pending = createRetriever(getConfig('retrieval').retriever);
+    pending.catch(() => {
+      if (defaultRetriever === pending) {
+        defaultRetriever = null;
+      }
+    });
+    defaultRetriever = pending;
+  }
+  return defaultRetriever;
+}
+
+/**
+ * Replace the default retriever (e.g. with an in-memory one in tests)
+ * @param {Retriever|null} retriever - Retriever to use, null to reset
+ */
+export function setRetriever(retriever) {
+  defaultRetriever = retriever ? Promise.resolve(retriever) : null;
+}
+
+/**
+ * Validate a search mode
+ * @param {string} mode - Search mode
+ * @throws {Error} If the mode is not supported
+ */
+export function validateSearchMode(mode) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Invalid search mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`);
+  }
+}
+
+export default {
+  SEARCH_MODES,
+  registerRetriever,
+  createRetriever,
+  getRetriever,
+  setRetriever,
+  validateSearchMode,
+};
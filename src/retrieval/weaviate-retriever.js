@@ -0,0 +1,141 @@
+import { getClient } from '../database/connection.js';
+import { listTenants } from '../database/tenants.js';
+import { getDataVersion } from '../database/data-versions.js';
+import { embedQuery, cosineSimilarity } from '../llm/embeddings.js';
+import { buildWeaviateFilter } from './filters.js';
+
+/**
+ * Weaviate retriever backend
+ *
+ * Searches the tenant's shard of QACollection with BM25, vector or hybrid
+ * search using the shared Weaviate client.
+ */
+
+const COLLECTION_NAME = 'QACollection';
+const RETURN_PROPERTIES = ['fileId', 'question', 'answer', 'tags', 'sourceType', 'createdAt'];
+
+/**
+ * Retrieve relevant documents from Weaviate
+ * @param {string} query - The search query
+ * @param {Object} options - Search options
+ * @param {string} options.tenant - The tenant to search in
+ * @param {number} options.limit - Maximum number of results to retrieve
+ * @param {string} options.mode - 'bm25', 'vector' or 'hybrid'
+ * @param {number} options.alpha - Hybrid weight, 0 = pure BM25, 1 = pure vector
+ * @param {number} options.maxVectorDistance - Cosine distance cut-off for vector/hybrid matches
+ * @param {Object} options.filters - Normalised metadata filters (see filters.js)
+ * @returns {Promise<Array>} Array of retrieved objects, each with metadata.score (BM25 score, or cosine
+ *   similarity for vector and hybrid; hybrid results keep their fused score in metadata.hybridScore)
+ */
+async function retrieveFromWeaviate(query, options) {
+  const { tenant, limit, mode, alpha, maxVectorDistance, filters = null } = options;
+  const client = await getClient();
+
+  try {
+    const collection = client.collections.get(COLLECTION_NAME);
+    const tenantCollection = collection.withTenant(tenant);
+    const searchOptions = {
+      limit,
+      filters: buildWeaviateFilter(tenantCollection, filters),
+      returnProperties: RETURN_PROPERTIES,
+    };
+
+    if (mode === 'bm25') {
+      // BM25 keyword search (text-based search without embeddings)
+      const result = await tenantCollection.query.bm25(query, {
+        ...searchOptions,
+        returnMetadata: ['score'],
+      });
+      return result.objects;
+    }
+
+    if (mode === 'vector') {
+      // Pure semantic search on the stored embeddings; score = cosine similarity
+      const result = await tenantCollection.query.nearVector(await embedQuery(query), {
+        ...searchOptions,
+        distance: maxVectorDistance,
+        returnMetadata: ['distance'],
+      });
+      return result.objects.map(obj => ({
+        ...obj,
+        metadata: { ...obj.metadata, score: 1 - obj.metadata.distance },
+      }));
+    }
+
+    // Hybrid search: fuses BM25 and vector scores, weighted by alpha. Fused
+    // scores are relative (the top hit is always about 1), so they decide the
+    // order only; score = cosine similarity to the query, so the relevance
+    // threshold still drops off-topic results
+    const vector = await embedQuery(query);
+    const result = await tenantCollection.query.hybrid(query, {
+      ...searchOptions,
+      vector,
+      alpha,
+      maxVectorDistance,
+      includeVector: true,
+      returnMetadata: ['score'],
+    });
+    return result.objects.map(({ vectors, ...obj }) => ({
+      ...obj,
+      metadata: {
+        ...obj.metadata,
+        hybridScore: obj.metadata.score,
+        score: vectors?.default ? cosineSimilarity(vector, vectors.default) : 0,
+      },
+    }));
+
+  } catch (error) {
+    console.error('❌ Error retrieving from Weaviate:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fetch all objects from Weaviate for a specific tenant
+ * @param {string} tenant - The tenant to fetch from
+ * @param {Object} options - Fetch options
+ * @param {number} options.limit - Maximum number of objects (default: 100)
+ * @param {Object} options.filters - Normalised metadata filters (see filters.js)
+ * @returns {Promise<Array>} Array of all objects
+ */
+async function fetchAllFromWeaviate(tenant, options = {}) {
+  const { limit = 100, filters = null } = options;
+  const client = await getClient();
+
+  try {
+    const collection = client.collections.get(COLLECTION_NAME);
+    const tenantCollection = collection.withTenant(tenant);
+
+    const result = await tenantCollection.query.fetchObjects({
+      limit,
+      filters: buildWeaviateFilter(tenantCollection, filters),
+      returnProperties: RETURN_PROPERTIES,
+    });
+
+    return result.objects;
+
+  } catch (error) {
+    console.error('❌ Error fetching objects from Weaviate:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create the Weaviate retriever
+ * @returns {Object} Retriever (see retriever.js)
+ */
+export function createWeaviateRetriever() {
+  return {
+    name: 'weaviate',
+    searchModes: ['bm25', 'vector', 'hybrid'],
+    retrieve: retrieveFromWeaviate,
+    fetchAll: fetchAllFromWeaviate,
+    // Counters kept by ingestion, promotion and migrations, so no Weaviate round-trip is needed
+    dataVersion: getDataVersion,
+    listTenants,
+  };
+}
+
+export default {
+  createWeaviateRetriever,
+};
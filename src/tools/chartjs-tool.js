@@ -1,6 +1,9 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
 
+// Chart types the tool can configure
+export const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut', 'radar'];
+
 /**
  * Generate a mocked Chart.js configuration based on input parameters
  * @param {Object} params - Chart configuration parameters
@@ -77,7 +80,7 @@ export const chartJSTool = new DynamicStructuredTool({
   Returns a complete Chart.js configuration object that can be used to render a chart.`,
   schema: z.object({
     chartType: z
-      .enum(['bar', 'line', 'pie', 'doughnut', 'radar'])
+      .enum(CHART_TYPES)
       .describe('Type of chart to generate'),
     labels: z
       .array(z.string())
@@ -179,6 +182,7 @@ async function testChartJSTool() {
 
 // Export everything
 export default {
+  CHART_TYPES,
   chartJSTool,
   mockGenerateChart,
   testChartJSTool,
@@ -0,0 +1,263 @@
+import { readFile, writeFile, readdir, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { validateTenantName } from '../database/tenants.js';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Usage Store
+ *
+ * Token usage and cost are totalled per tenant, per day (UTC) and per request
+ * type in RAG_USAGE_DIR (default: .data/usage), one JSON file per tenant:
+ * {
+ *   "2025-07-01": {
+ *     "query": {
+ *       requests, calls, inputTokens, outputTokens, cost, estimatedCalls, unpricedCalls,
+ *       models: { "<provider>:<model>": { calls, inputTokens, outputTokens, cost } }
+ *     },
+ *     "ingest": { ... }
+ *   }
+ * }
+ * Request types are "query" (graph runs) and "ingest" (question generation).
+ * cost only covers priced models; calls of models without a price are
+ * counted in unpricedCalls, and those models have a null cost.
+ * RAG_USAGE=off stops recording.
+ *
+ * CLI: npm run usage -- [tenant] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--type query|ingest]
+ *        [--format table|csv|json] (see index.js)
+ */
+
+export const REPORT_FORMATS = ['table', 'csv', 'json'];
+
+export const REQUEST_TYPES = ['query', 'ingest'];
+
+// Pending writes per tenant, so concurrent requests don't overwrite each other
+const writes = new Map();
+
+/**
+ * Get the usage file of a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {string} File path
+ */
+function usagePath(tenant) {
+  validateTenantName(tenant);
+  return path.join(getConfig('usage').dir, `${tenant}.json`);
+}
+
+/**
+ * Read the daily totals of a tenant
+ * @param {string} tenant - Tenant name
+ * @returns {Promise<Object>} Totals by day
+ */
+async function readDays(tenant) {
+  try {
+    return JSON.parse(await readFile(usagePath(tenant), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Could not read usage of tenant "${tenant}": ${error.message}`);
+  }
+}
+
+/**
+ * Write the daily totals of a tenant (atomic via a temp file)
+ * @param {string} tenant - Tenant name
+ * @param {Object} days - Totals by day
+ */
+async function writeDays(tenant, days) {
+  const filePath = usagePath(tenant);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(`${filePath}.tmp`, JSON.stringify(days, null, 2), 'utf8');
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Add tokens and cost to a totals object
+ * @param {Object} totals - Totals, updated in place
+ * @param {Object} usage - { calls, inputTokens, outputTokens, cost }
+ */
+function addTotals(totals, usage) {
+  totals.calls = (totals.calls || 0) + usage.calls;
+  totals.inputTokens = (totals.inputTokens || 0) + usage.inputTokens;
+  totals.outputTokens = (totals.outputTokens || 0) + usage.outputTokens;
+  // A model without a price keeps its cost unknown
+  totals.cost = usage.cost === null || totals.cost === null ? null : (totals.cost || 0) + usage.cost;
+}
+
+/**
+ * Record the usage of a request
+ * @param {string} tenant - Tenant the request was made for
+ * @param {Object} usage - Request usage (see usage/usage.js summarizeUsage)
+ * @param {Object} options - Record options
+ * @param {string} options.type - Request type, one of REQUEST_TYPES (default: 'query')
+ * @param {Date} options.date - Time of the request (default: now)
+ * @returns {Promise<boolean>} True if recorded, false when recording is off or there were no calls
+ * @throws {Error} If the request type is unknown
+ */
+export async function recordUsage(tenant, usage, options = {}) {
+  const { type = 'query', date = new Date() } = options;
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new Error(`Invalid request type "${type}". Use one of: ${REQUEST_TYPES.join(', ')}`);
+  }
+  if (!getConfig('usage').record || !usage || usage.calls === 0) {
+    return false;
+  }
+  const day = date.toISOString().slice(0, 10);
+
+  const write = (writes.get(tenant) || Promise.resolve()).catch(() => {}).then(async () => {
+    const days = await readDays(tenant);
+    days[day] = days[day] || {};
+    const totals = days[day][type] || { requests: 0, estimatedCalls: 0, unpricedCalls: 0, models: {} };
+    totals.requests += 1;
+    totals.estimatedCalls += usage.estimatedCalls;
+    totals.unpricedCalls += usage.unpricedCalls;
+    addTotals(totals, usage);
+    Object.entries(usage.models).forEach(([model, modelUsage]) => {
+      totals.models[model] = totals.models[model] || {};
+      addTotals(totals.models[model], modelUsage);
+    });
+    days[day][type] = totals;
+    await writeDays(tenant, days);
+  });
+
+  writes.set(tenant, write);
+  await write;
+  return true;
+}
+
+/**
+ * List the tenants with recorded usage
+ * @returns {Promise<string[]>} Tenant names, sorted
+ */
+export async function listUsageTenants() {
+  try {
+    return (await readdir(getConfig('usage').dir))
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the daily usage of tenants
+ * @param {Object} options - Report options
+ * @param {string} options.tenant - Tenant (default: every tenant with usage)
+ * @param {string} options.from - First day, YYYY-MM-DD (inclusive)
+ * @param {string} options.to - Last day, YYYY-MM-DD (inclusive)
+ * @param {string} options.type - Request type (default: all)
+ * @returns {Promise<Array>} [{ tenant, day, type, requests, calls, inputTokens, outputTokens, cost, estimatedCalls,
+ *   unpricedCalls, models }], by tenant, day and type
+ * @throws {Error} If a date is not YYYY-MM-DD or the type is unknown
+ */
+export async function getUsage(options = {}) {
+  const { tenant = null, from = null, to = null, type = null } = options;
+  [from, to].forEach((date) => {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+    }
+  });
+  if (type && !REQUEST_TYPES.includes(type)) {
+    throw new Error(`Invalid request type "${type}". Use one of: ${REQUEST_TYPES.join(', ')}`);
+  }
+
+  const tenants = tenant ? [tenant] : await listUsageTenants();
+  const rows = [];
+  for (const name of tenants) {
+    const days = await readDays(name);
+    Object.keys(days)
+      .sort()
+      .filter(day => (!from || day >= from) && (!to || day <= to))
+      .forEach((day) => {
+        REQUEST_TYPES
+          .filter(dayType => days[day][dayType] && (!type || dayType === type))
+          .forEach(dayType => rows.push({ tenant: name, day, type: dayType, ...days[day][dayType] }));
+      });
+  }
+  return rows;
+}
+
+/**
+ * Total usage rows per tenant
+ * @param {Array} rows - Result of getUsage()
+ * @returns {Object} Totals by tenant: { requests, calls, inputTokens, outputTokens, cost, estimatedCalls,
+ *   unpricedCalls, days }
+ */
+export function totalUsage(rows) {
+  const totals = {};
+  const days = {};
+  rows.forEach((row) => {
+    const tenantTotals = totals[row.tenant] || { requests: 0, estimatedCalls: 0, unpricedCalls: 0, days: 0 };
+    days[row.tenant] = days[row.tenant] || new Set();
+    days[row.tenant].add(row.day);
+    tenantTotals.requests += row.requests;
+    tenantTotals.estimatedCalls += row.estimatedCalls;
+    tenantTotals.unpricedCalls += row.unpricedCalls;
+    tenantTotals.days = days[row.tenant].size;
+    addTotals(tenantTotals, row);
+    totals[row.tenant] = tenantTotals;
+  });
+  return totals;
+}
+
+/**
+ * Format a usage report
+ * @param {Array} rows - Result of getUsage()
+ * @param {string} format - table, csv or json
+ * @returns {string} Report
+ * @throws {Error} If the format is unknown
+ */
+export function formatUsageReport(rows, format = 'table') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  const cost = value => (value === null || value === undefined ? '' : value.toFixed(6));
+
+  if (format === 'json') {
+    return JSON.stringify({ days: rows, totals: totalUsage(rows) }, null, 2);
+  }
+  if (format === 'csv') {
+    const header = 'tenant,day,type,requests,calls,input_tokens,output_tokens,cost_usd,estimated_calls,unpriced_calls';
+    return [header, ...rows.map(row => [
+      row.tenant, row.day, row.type, row.requests, row.calls, row.inputTokens, row.outputTokens, cost(row.cost),
+      row.estimatedCalls, row.unpricedCalls,
+    ].join(','))].join('\n');
+  }
+
+  if (rows.length === 0) {
+    return 'No usage recorded.';
+  }
+  // Costs that leave out calls of unpriced models are marked with *
+  const costCell = usage => (usage.calls === usage.unpricedCalls ? 'n/a' : `${cost(usage.cost)}${usage.unpricedCalls > 0 ? '*' : ''}`);
+  const line = (...cells) => cells.map((cell, idx) => (idx < 3 ? String(cell).padEnd(12) : String(cell).padStart(12))).join(' ');
+  const lines = [line('Tenant', 'Day', 'Type', 'Requests', 'Calls', 'Input tok', 'Output tok', 'Cost (USD)')];
+  rows.forEach((row) => {
+    lines.push(line(row.tenant, row.day, row.type, row.requests, row.calls, row.inputTokens, row.outputTokens, costCell(row)));
+  });
+  lines.push('');
+  Object.entries(totalUsage(rows)).forEach(([tenant, totals]) => {
+    lines.push(line(tenant, `${totals.days} day(s)`, 'total', totals.requests, totals.calls, totals.inputTokens,
+      totals.outputTokens, costCell(totals)));
+    if (totals.estimatedCalls > 0) {
+      lines.push(`${' '.repeat(13)}${totals.estimatedCalls} call(s) without provider usage were estimated`);
+    }
+    if (totals.unpricedCalls > 0) {
+      lines.push(`${' '.repeat(13)}* ${totals.unpricedCalls} call(s) of models without a price are not in the cost (see LLM_PRICES_FILE)`);
+    }
+  });
+  return lines.join('\n');
+}
+
+export default {
+  REPORT_FORMATS,
+  REQUEST_TYPES,
+  recordUsage,
+  listUsageTenants,
+  getUsage,
+  totalUsage,
+  formatUsageReport,
+};
@@ -0,0 +1,191 @@
+import { readFileSync } from 'fs';
+import { getConfig } from '../config/config.js';
+
+/**
+ * Token Usage and Cost
+ *
+ * Every model call reports the tokens it used (see llm/resilience.js), taken
+ * from the provider's usage metadata. Providers that don't report usage are
+ * estimated from the text length (about 4 characters per token) and flagged
+ * as estimated.
+ *
+ * Calls are priced in USD per million tokens. The built-in table can be
+ * extended or overridden with a JSON file in LLM_PRICES_FILE:
+ *   { "gemini-2.5-flash": { "input": 0.3, "output": 2.5 }, "ollama": { "input": 0, "output": 0 } }
+ * Keys are "<provider>:<model>", "<model>" or "<provider>", most specific
+ * first. Calls of models without a price have a null cost, are listed as
+ * unpriced and counted in unpricedCalls, so a total cost that leaves them
+ * out can be told apart from a free run.
+ */
+
+// USD per million tokens
+export const DEFAULT_PRICES = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  ollama: { input: 0, output: 0 },
+  fake: { input: 0, output: 0 },
+};
+
+let filePrices = null;   // { path, prices } loaded from LLM_PRICES_FILE
+
+/**
+ * Get the price table
+ * @returns {Object} Prices by key, LLM_PRICES_FILE entries over the built-in ones
+ * @throws {Error} If the price file can't be read or has invalid entries
+ */
+export function getPrices() {
+  const pricesFile = getConfig('usage').pricesFile;
+  if (!pricesFile) {
+    return DEFAULT_PRICES;
+  }
+  if (filePrices?.path !== pricesFile) {
+    let prices;
+    try {
+      prices = JSON.parse(readFileSync(pricesFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read price table ${pricesFile}: ${error.message}`);
+    }
+    Object.entries(prices).forEach(([key, price]) => {
+      if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+        throw new Error(`Price table ${pricesFile}: "${key}" needs numeric input and output prices`);
+      }
+    });
+    filePrices = { path: pricesFile, prices: { ...DEFAULT_PRICES, ...prices } };
+  }
+  return filePrices.prices;
+}
+
+/**
+ * Find the price of a model
+ * @param {string} model - "<provider>:<model>"
+ * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+export function findPrice(model) {
+  const prices = getPrices();
+  const idx = model.indexOf(':');
+  const provider = idx === -1 ? model : model.slice(0, idx);
+  const name = idx === -1 ? null : model.slice(idx + 1);
+  return prices[model] || (name && prices[name]) || prices[provider] || null;
+}
+
+/**
+ * Estimate the tokens of a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Read the token usage of a model reply
+ * @param {Object} message - AIMessage or AIMessageChunk
+ * @returns {Object|null} { inputTokens, outputTokens }, or null if the provider reported none
+ */
+export function messageUsage(message) {
+  const usage = message?.usage_metadata;
+  if (!usage || !(usage.input_tokens || usage.output_tokens)) {
+    return null;
+  }
+  return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+}
+
+/**
+ * Get the usage of a call, estimating it when the provider reported none
+ * @param {Object|null} reported - Result of messageUsage()
+ * @param {string} prompt - Prompt text
+ * @param {string} reply - Reply text
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+export function callUsage(reported, prompt, reply) {
+  if (reported) {
+    return { ...reported, estimated: false };
+  }
+  return { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(reply), estimated: true };
+}
+
+/**
+ * Price a number of tokens
+ * @param {string} model - "<provider>:<model>"
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Reply tokens
+ * @returns {number|null} Cost in USD, null if the model has no price
+ */
+export function priceTokens(model, inputTokens, outputTokens) {
+  const price = findPrice(model);
+  if (!price) {
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Add tokens and cost to a totals object
+ * @param {Object} totals - { calls, inputTokens, outputTokens, cost }, updated in place
+ * @param {Object} call - { inputTokens, outputTokens, cost }
+ */
+function addTo(totals, { calls = 1, inputTokens, outputTokens, cost }) {
+  totals.calls += calls;
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.cost = cost === null || totals.cost === null ? null : totals.cost + cost;
+}
+
+const emptyTotals = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+
+/**
+ * Summarize the calls of a request
+ * @param {Array} calls - [{ task, model, inputTokens, outputTokens, estimated }]
+ * @returns {Object} { calls, inputTokens, outputTokens, totalTokens, cost, currency, estimated, estimatedCalls,
+ *   unpriced, unpricedCalls, models: { [model]: totals }, tasks: { [task]: totals } }; cost only covers
+ *   priced models
+ */
+export function summarizeUsage(calls = []) {
+  const summary = {
+    ...emptyTotals(),
+    totalTokens: 0,
+    currency: 'USD',
+    estimated: false,
+    estimatedCalls: 0,
+    unpriced: [],
+    unpricedCalls: 0,
+    models: {},
+    tasks: {},
+  };
+
+  calls.forEach((call) => {
+    const cost = priceTokens(call.model, call.inputTokens, call.outputTokens);
+    if (cost === null) {
+      summary.unpricedCalls += 1;
+      if (!summary.unpriced.includes(call.model)) {
+        summary.unpriced.push(call.model);
+      }
+    }
+    summary.models[call.model] = summary.models[call.model] || emptyTotals();
+    summary.tasks[call.task] = summary.tasks[call.task] || emptyTotals();
+    addTo(summary.models[call.model], { ...call, cost });
+    addTo(summary.tasks[call.task], { ...call, cost });
+    addTo(summary, { ...call, cost: cost ?? 0 });
+    summary.estimatedCalls += call.estimated ? 1 : 0;
+    summary.estimated = summary.estimatedCalls > 0;
+  });
+
+  summary.totalTokens = summary.inputTokens + summary.outputTokens;
+  return summary;
+}
+
+export default {
+  DEFAULT_PRICES,
+  getPrices,
+  findPrice,
+  messageUsage,
+  callUsage,
+  priceTokens,
+  summarizeUsage,
+};